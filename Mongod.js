@@ -3,12 +3,202 @@
 /**
  * Configuration options for {@link Mongod}.
  * @typedef {Object} Mongod~Config
- * @property {String} [bin=mongod]
- * @property {String} [config]
+ * @property {(String|MongodBinary~Config)} [bin=mongod]
+ * @property {(String|Boolean)} [conf]
+ * A path to a MongoDB configuration file to merge other properties into or
+ * {@linkcode true} to render one from them.
  * @property {(Number|String)} [port=27017]
+ * A port or {@linkcode 0} or {@linkcode 'auto'} for a free one.
  * @property {String} [dbpath]
+ * @property {(Boolean|String)} [keepdbpath=false]
+ * @property {String} [snapshotpath]
+ * A directory to store snapshots of the dbpath in; one in the operating
+ * system's directory for temporary files if omitted.
+ * @property {Number} [startupTimeout=60000]
+ * @property {Number} [shutdownTimeout=10000]
  * @property {String} [storageEngine]
  * @property {Boolean} [nojournal=false]
+ * @property {String} [replSet]
+ * @property {Boolean} [shardsvr=false]
+ * @property {Boolean} [configsvr=false]
+ * @property {String} [configdb]
+ * @property {(String|Array.<String>)} [bind_ip]
+ * @property {(Boolean|Mongod~Credentials)} [auth=false]
+ * A flag to enable authorization or the credentials of a user to create on a
+ * fresh {@link Mongod~Config#dbpath} through the localhost exception, which
+ * may not be disabled with {@link Mongod~Config#setParameter}.
+ * @property {Number} [oplogSize]
+ * @property {Number} [wiredTigerCacheSizeGB]
+ * @property {Object.<String,(String|Number|Boolean)>} [setParameter]
+ * @property {(Boolean|Number)} [verbose=false]
+ * @property {Number} [slowms]
+ * @property {Boolean} [quiet=false]
+ * @property {String} [logpath]
+ * A path to log to instead of stdout; read to detect startup.
+ * @property {Number} [logBufferSize=1000]
+ * The number of recent lines of output to keep for {@link Mongod#getLogs};
+ * {@linkcode 0} to keep none.
+ * @property {(String|Mongod~LogFileConfig)} [logFile]
+ * A path, or a {@link Mongod~LogFileConfig}, to copy lines of output to.
+ * @property {(String|Boolean)} [keyFile]
+ * A path to a key file or {@linkcode true} to write a temporary one.
+ * @property {Mongod~TLSConfig} [tls]
+ * @property {(Boolean|Mongod~SuperviseConfig)} [supervise=false]
+ * Whether or not to restart a server that exits unexpectedly once open.
+ * @property {Array.<String>} [args]
+ * Additional arguments for options without a {@link Mongod~Config} property.
+ * @property {Boolean} [probe=false]
+ * Whether or not to wait for a reply to a command before resolving
+ * {@link Mongod#open}.
+ */
+
+/**
+ * The credentials of a MongoDB user.
+ * @typedef {Object} Mongod~Credentials
+ * @property {String} username
+ * @property {String} password
+ * @property {Array.<(String|Object)>} [roles]
+ * Roles granted to the user; {@linkcode root} if omitted.
+ */
+
+/**
+ * TLS options for {@link Mongod}, mapped to {@linkcode --ssl} flags before
+ * MongoDB 4.2.
+ * @typedef {Object} Mongod~TLSConfig
+ * @property {String} [mode=requireTLS]
+ * @property {String} [certificateKeyFile]
+ * A path to a PEM file with the certificate and key of the server; required
+ * unless {@link Mongod~TLSConfig#mode} is {@linkcode disabled}.
+ * @property {String} [CAFile]
+ * @property {Boolean} [allowConnectionsWithoutCertificates=false]
+ */
+
+/**
+ * Options for restarting a {@link Mongod} that exits unexpectedly.
+ * @typedef {Object} Mongod~SuperviseConfig
+ * @property {Number} [retries=5]
+ * A number of consecutive restarts to attempt before emitting
+ * {@link Mongod#event:crash}.
+ * @property {Number} [delay=1000]
+ * A number of milliseconds to wait before the first restart; doubled, or
+ * multiplied by {@link Mongod~SuperviseConfig#factor}, for each that follows.
+ * @property {Number} [maxDelay=30000]
+ * A maximum number of milliseconds to wait before a restart. A server that
+ * runs at least this long before exiting again starts over from
+ * {@link Mongod~SuperviseConfig#delay}.
+ * @property {Number} [factor=2]
+ */
+
+/**
+ * Options for copying the output of a MongoDB server to a file.
+ * @typedef {Object} Mongod~LogFileConfig
+ * @property {String} path
+ * @property {Number} [maxSize=10485760]
+ * The number of bytes the file may grow to before it is rotated.
+ * @property {Number} [maxFiles=5]
+ * The number of rotated files to keep as {@linkcode path.1} (the newest)
+ * through {@linkcode path.maxFiles}.
+ */
+
+/**
+ * Options for {@link Mongod#open}.
+ * @typedef {Object} Mongod~OpenOptions
+ * @property {Number} [timeout]
+ * A number of milliseconds to wait for the server to become ready before
+ * killing it; {@link Mongod~Config#startupTimeout} if omitted.
+ */
+
+/**
+ * Options for {@link Mongod#close}.
+ * @typedef {Object} Mongod~CloseOptions
+ * @property {String} [signal=SIGTERM]
+ * @property {Number} [timeout]
+ * A number of milliseconds to wait before sending {@linkcode SIGKILL};
+ * {@link Mongod~Config#shutdownTimeout} if omitted.
+ * @property {Boolean} [force=false]
+ */
+
+/**
+ * Options for {@link Mongod.attach}; a {@link Mongod~Config} describing how
+ * to reach the server (i.e. {@linkcode bind_ip}, {@linkcode auth}, and
+ * {@linkcode tls}) with either or both of:
+ * @typedef {Object} Mongod~AttachOptions
+ * @property {Number} [pid]
+ * The PID of the server process; signaled to close it when known.
+ * @property {(Number|String)} [port]
+ * The port of the server; read from the arguments of the process with
+ * {@linkcode pid} if omitted.
+ */
+
+/**
+ * Options for {@link Mongod#reset}.
+ * @typedef {Object} Mongod~ResetOptions
+ * @property {Array.<String>} [keep]
+ * The names of databases to leave alone besides {@linkcode admin},
+ * {@linkcode config}, and {@linkcode local}.
+ * @property {String} [mode=drop]
+ * {@linkcode drop} to drop each database or {@linkcode clear} to delete the
+ * documents of each collection, keeping the collections and their indexes.
+ */
+
+/**
+ * Options for {@link Mongod#getConnectionString}.
+ * @typedef {Object} Mongod~ConnectionStringOptions
+ * @property {String} [db]
+ * @property {String} [username]
+ * @property {String} [password]
+ * @property {String} [authSource=admin]
+ * @property {(String|Boolean)} [replicaSet]
+ * A replica set name; {@link Mongod~Config#replSet} if omitted or
+ * {@linkcode false} to leave it out.
+ * @property {Boolean} [directConnection]
+ * @property {Boolean} [tls]
+ * Whether or not to connect with TLS; {@linkcode true} if omitted when
+ * {@link Mongod~TLSConfig#mode} is {@linkcode requireTLS}. The files of
+ * {@link Mongod~Config#tls} are included when it has a CA file.
+ * @property {Boolean} [socket=false]
+ * Whether or not to connect through the UNIX domain socket of the server.
+ */
+
+/**
+ * How a MongoDB server process exited.
+ * @typedef {Object} Mongod~ExitResult
+ * @property {Number} code
+ * @property {String} signal
+ * @property {Boolean} forced
+ * Whether or not {@linkcode SIGKILL}, or a forced {@linkcode shutdown}
+ * command, was sent. The {@linkcode code} and {@linkcode signal} of an
+ * attached server are {@linkcode null} since only the parent of a process
+ * can know them.
+ */
+
+/**
+ * How and why a MongoDB server process exited.
+ * @typedef {Object} Mongod~Exit
+ * @property {Number} code
+ * @property {String} signal
+ * @property {Boolean} unexpected
+ * Whether or not the process exited while running without being closed.
+ */
+
+/**
+ * A restart of a supervised MongoDB server.
+ * @typedef {Object} Mongod~Restart
+ * @property {Number} attempt
+ * @property {Number} delay
+ * The number of milliseconds until the server is started.
+ * @property {Mongod~Exit} exit
+ */
+
+/**
+ * A command to start a MongoDB server.
+ * @typedef {Object} Mongod~Command
+ * @property {Array.<String>} argv
+ * The binary followed by its arguments.
+ * @property {Object} conf
+ * The configuration file to write before running the command, if any, with
+ * its {@linkcode path}, merged {@linkcode settings}, and YAML
+ * {@linkcode contents}.
  */
 
 /**
@@ -17,11 +207,40 @@
  * @argument {Error} err
  */
 
+/**
+ * The version of a MongoDB server binary.
+ * @typedef {Object} Mongod~Version
+ * @property {String} version
+ * @property {Number} major
+ * @property {Number} minor
+ * @property {Number} patch
+ * @property {String} gitVersion
+ * @property {Array.<String>} modules
+ */
+
+/**
+ * A MongoDB server log entry.
+ * @typedef {Object} Mongod~LogEntry
+ * @property {Date} timestamp
+ * @property {String} severity
+ * @property {String} component
+ * @property {Number} id
+ * @property {String} context
+ * @property {String} msg
+ * @property {Object} attr
+ */
+
 /**
  * Emitted when a MongoDB server prints to stdout.
  * @event Mongod#stdout
  */
 
+/**
+ * Emitted with a {@link Mongod~LogEntry} for each line a MongoDB server
+ * prints to stdout or stderr.
+ * @event Mongod#log
+ */
+
 /**
  * Emitted when attempting to start a MongoDB server.
  * @event Mongod#opening
@@ -37,14 +256,39 @@
  * @event Mongod#closing
  */
 
+/**
+ * Emitted with a {@link Mongod~Exit} when a MongoDB server process exits.
+ * @event Mongod#exit
+ */
+
 /**
  * Emitted once a MongoDB server has stopped.
  * @event Mongod#close
  */
 
+/**
+ * Emitted with a {@link Mongod~Restart} when a supervised MongoDB server
+ * that exited unexpectedly is about to be restarted.
+ * @event Mongod#restart
+ */
+
+/**
+ * Emitted with the last {@link Mongod~Exit} when a supervised MongoDB server
+ * that exited unexpectedly is given up on.
+ * @event Mongod#crash
+ */
+
 const childprocess = require('child_process');
+const crypto = require('crypto');
 const events = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const jsyaml = require('js-yaml');
 const PromiseQueue = require('promise-queue');
+const MongodClient = require('./MongodClient');
+const MongodError = require('./MongodError');
 
 /**
  * A collection of regualar expressions used by {@link Mongod.parseData} to
@@ -55,11 +299,506 @@ const PromiseQueue = require('promise-queue');
  * @type {Object.<String,RegExp>}
  */
 const regExp = {
-  terminalMessage: /waiting\s+for\s+connections|already\s+in\s+use|denied|error|exception|badvalue/im,
-  whiteSpace: /\s/g,
+  terminalMessage: /waiting\s+for\s+connections|already\s+in\s+use|bind\(\)\s+failed|exception\s+in\s+initAndListen|^error\s+parsing|unrecogni[sz]ed\s+option/im,
+  waitingForConnections: /waiting\s+for\s+connections/i,
+  loopbackAddress: /^(?:127(?:\.\d{1,3}){3}|::1|localhost)$/i,
+  addressInUse: /already\s+in\s+use/i,
+  permissionDenied: /permission\s+denied/i,
+  tls: /\b(?:InvalidSSLConfiguration|SSLHandshakeFailed)\b|\bcannot\s+read\s+(?:certificate|PEM\s+key|CA)\s+file\b/i,
+  dbpathLocked: /DBPathInUse|unable\s+to\s+lock/i,
+  invalidOption: /BadValue|error\s+parsing|unrecogni[sz]ed\s+option/i,
+  optionName: /\boption\s+['"]?-*([\w.]+)/i,
+  tlsSuffix: /TLS$/,
+  sslSuffix: /SSL$/,
+  version: /\bversion\s+v?(\d+)\.(\d+)\.(\d+)(\S*)/i,
+  buildInfo: /^Build Info:\s*(\{[\s\S]*\})\s*$/m,
+  gitVersion: /^git version:\s*(\S+)/im,
+  modules: /^modules:\s*(.*)$/im,
+  textLogEntry: /^(\d{4}-\d\d-\d\dT\S+)\s+([DEFIW]\d?)\s+(\S+)\s+\[([^\]]*)\]\s?(.*)$/,
   newline: /\r?\n/
 };
 
+/**
+ * A collection of structured log message IDs used by {@link Mongod.parseData}
+ * to detect terminal messages keyed by the terminal message they signify.
+ * @see Mongod.parseData
+ * @readonly
+ * @private
+ * @type {Object.<Number,String>}
+ */
+const logIds = {
+  23016: 'waitingforconnections',
+  22856: 'listenerror',
+  20557: 'exception',
+  20574: 'error',
+  23091: 'error',
+  23248: 'tls'
+};
+
+/**
+ * A collection of the names of server error codes used by
+ * {@link Mongod.parseData} to detect TLS errors attached to structured log
+ * entries keyed by code.
+ * @see Mongod.parseData
+ * @readonly
+ * @private
+ * @type {Object.<Number,String>}
+ */
+const tlsErrorCodes = {
+  140: 'InvalidSSLConfiguration',
+  141: 'SSLHandshakeFailed'
+};
+
+/**
+ * A collection of value types for {@link Mongod~Config} properties used by
+ * {@link Mongod.parseOption} and {@link Mongod.parseFlags} keyed by name. Each
+ * describes values it accepts, tests them, and formats them as flags.
+ * @see commandLineOptions
+ * @readonly
+ * @private
+ * @type {Object.<String,Object>}
+ */
+const optionTypes = {
+  boolean: {
+    description: 'a boolean',
+    test: (value) => typeof value === 'boolean',
+    format: (flag, value) => value ? [flag] : []
+  },
+  number: {
+    description: 'a finite number',
+    test: (value) => typeof value === 'number' && isFinite(value),
+    format: (flag, value) => [flag, value]
+  },
+  string: {
+    description: 'a non-empty string',
+    test: (value) => typeof value === 'string' && value.length > 0,
+    format: (flag, value) => [flag, value]
+  },
+  list: {
+    description: 'a non-empty string or an array of them',
+    test: (value) => [].concat(value).every((item) =>
+      typeof item === 'string' && item.length > 0),
+    format: (flag, value) => [flag, [].concat(value).join(',')]
+  },
+  map: {
+    description: 'an object of strings, numbers, or booleans',
+    test: (value) =>
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.keys(value).every((key) =>
+        ['string', 'number', 'boolean'].indexOf(typeof value[key]) !== -1),
+    format: (flag, value) => Object.keys(value).reduce((flags, key) =>
+      flags.concat(flag, `${key}=${value[key]}`), [])
+  },
+  auth: {
+    description: 'a boolean or an object with a username and a password',
+    test: (value) =>
+      typeof value === 'boolean' ||
+      (
+        value !== null &&
+        typeof value === 'object' &&
+        typeof value.username === 'string' &&
+        typeof value.password === 'string' &&
+        (value.roles == null || Array.isArray(value.roles))
+      ),
+    format: (flag, value) => value ? [flag] : []
+  },
+  verbosity: {
+    description: 'a boolean or an integer from 0 to 5',
+    test: (value) =>
+      typeof value === 'boolean' ||
+      (typeof value === 'number' && value % 1 === 0 && value >= 0 &&
+        value <= 5),
+    format: (flag, value) => {
+      const level = Number(value);
+
+      return level > 0 ? [`-${new Array(level + 1).join('v')}`] : [];
+    }
+  }
+};
+
+/**
+ * A collection of MongoDB server command-line options used by
+ * {@link Mongod.parseConfig}, {@link Mongod.parseFlags}, and
+ * {@link Mongod.parseSettings} keyed by the {@link Mongod~Config} property
+ * that sets them. Each maps a value to a flag and to settings of a MongoDB
+ * configuration file keyed by their dotted path.
+ * @see optionTypes
+ * @readonly
+ * @private
+ * @type {Object.<String,Object>}
+ */
+const commandLineOptions = {
+  replSet: {
+    flag: '--replSet',
+    type: 'string',
+    setting: (value) => ({ 'replication.replSetName': value })
+  },
+  shardsvr: {
+    flag: '--shardsvr',
+    type: 'boolean',
+    setting: () => ({ 'sharding.clusterRole': 'shardsvr' })
+  },
+  configsvr: {
+    flag: '--configsvr',
+    type: 'boolean',
+    setting: () => ({ 'sharding.clusterRole': 'configsvr' })
+  },
+  configdb: {
+    flag: '--configdb',
+    type: 'string',
+    setting: (value) => ({ 'sharding.configDB': value })
+  },
+  bind_ip: {
+    flag: '--bind_ip',
+    type: 'list',
+    setting: (value) => ({ 'net.bindIp': [].concat(value).join(',') })
+  },
+  auth: {
+    flag: '--auth',
+    type: 'auth',
+    setting: () => ({ 'security.authorization': 'enabled' })
+  },
+  oplogSize: {
+    flag: '--oplogSize',
+    type: 'number',
+    setting: (value) => ({ 'replication.oplogSizeMB': value })
+  },
+  wiredTigerCacheSizeGB: {
+    flag: '--wiredTigerCacheSizeGB',
+    type: 'number',
+    setting: (value) => ({
+      'storage.wiredTiger.engineConfig.cacheSizeGB': value
+    })
+  },
+  setParameter: {
+    flag: '--setParameter',
+    type: 'map',
+    setting: (value) => ({ setParameter: value })
+  },
+  verbose: {
+    flag: '-v',
+    type: 'verbosity',
+    setting: (value) => ({ 'systemLog.verbosity': Number(value) })
+  },
+  slowms: {
+    flag: '--slowms',
+    type: 'number',
+    setting: (value) => ({ 'operationProfiling.slowOpThresholdMs': value })
+  },
+  quiet: {
+    flag: '--quiet',
+    type: 'boolean',
+    setting: () => ({ 'systemLog.quiet': true })
+  },
+  logpath: {
+    flag: '--logpath',
+    type: 'string',
+    setting: (value) => ({
+      'systemLog.destination': 'file',
+      'systemLog.path': value
+    })
+  }
+};
+
+/**
+ * A collection of TLS options used by {@link Mongod.parseTLSOptions} keyed by
+ * the {@link Mongod~TLSConfig} property that sets them. Each has the flag and
+ * the dotted path of the configuration file setting for MongoDB 4.2 and later
+ * ({@linkcode tls}) and for earlier versions ({@linkcode ssl}).
+ * @see Mongod.parseTLSOptions
+ * @readonly
+ * @private
+ * @type {Object.<String,Object>}
+ */
+const tlsOptions = {
+  mode: {
+    tls: { flag: '--tlsMode', setting: 'net.tls.mode' },
+    ssl: { flag: '--sslMode', setting: 'net.ssl.mode' }
+  },
+  certificateKeyFile: {
+    tls: {
+      flag: '--tlsCertificateKeyFile',
+      setting: 'net.tls.certificateKeyFile'
+    },
+    ssl: { flag: '--sslPEMKeyFile', setting: 'net.ssl.PEMKeyFile' }
+  },
+  CAFile: {
+    tls: { flag: '--tlsCAFile', setting: 'net.tls.CAFile' },
+    ssl: { flag: '--sslCAFile', setting: 'net.ssl.CAFile' }
+  },
+  allowConnectionsWithoutCertificates: {
+    tls: {
+      flag: '--tlsAllowConnectionsWithoutCertificates',
+      setting: 'net.tls.allowConnectionsWithoutCertificates'
+    },
+    ssl: {
+      flag: '--sslAllowConnectionsWithoutCertificates',
+      setting: 'net.ssl.allowConnectionsWithoutCertificates'
+    }
+  }
+};
+
+/**
+ * Values of {@link Mongod~TLSConfig#mode}; each may also be given with an
+ * {@linkcode SSL} suffix as it was before MongoDB 4.2.
+ * @see Mongod.parseTLS
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const tlsModes = ['disabled', 'allowTLS', 'preferTLS', 'requireTLS'];
+
+/**
+ * Flags {@link Mongod~Config#args} may not contain keyed by the
+ * {@link Mongod~Config} property to use instead or {@linkcode null} for
+ * flags that are never allowed.
+ * @see Mongod.parseArgs
+ * @readonly
+ * @private
+ * @type {Object.<String,String>}
+ */
+const reservedFlags = Object.keys(tlsOptions).reduce((flags, key) => {
+  flags[tlsOptions[key].tls.flag] = 'tls';
+  flags[tlsOptions[key].ssl.flag] = 'tls';
+
+  return flags;
+}, Object.keys(commandLineOptions).reduce((flags, key) => {
+  flags[commandLineOptions[key].flag] = key;
+
+  return flags;
+}, {
+  '--config': 'conf',
+  '-f': 'conf',
+  '--port': 'port',
+  '--dbpath': 'dbpath',
+  '--storageEngine': 'storageEngine',
+  '--nojournal': 'nojournal',
+  '--keyFile': 'keyFile',
+  '--fork': null
+}));
+
+/**
+ * The number of milliseconds to wait between checks for new lines in
+ * {@link Mongod~Config#logpath}.
+ * @see Mongod.tail
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const tailInterval = 100;
+
+/**
+ * The number of milliseconds to wait between attempts to run a command
+ * against a MongoDB server that is starting.
+ * @see Mongod.probe
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const probeInterval = 100;
+
+/**
+ * The number of milliseconds to wait for a reply to a command sent to a
+ * MongoDB server that is starting.
+ * @see Mongod.probe
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const probeTimeout = 1000;
+
+/**
+ * The number of times to retry starting a MongoDB server on a new port when
+ * an automatically allocated one is found to be in use.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const portRetryLimit = 5;
+
+/**
+ * The number of lines a MongoDB server printed before failing to start that
+ * are kept as {@link MongodError#output}.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const outputTailLength = 20;
+
+/**
+ * Defaults for {@link Mongod~Config#logFile}.
+ * @see Mongod.parseLogFile
+ * @readonly
+ * @private
+ * @type {Mongod~LogFileConfig}
+ */
+const logFileDefaults = {
+  maxSize: 10485760,
+  maxFiles: 5
+};
+
+/**
+ * Defaults for {@link Mongod~Config#supervise}.
+ * @see Mongod.parseSupervise
+ * @readonly
+ * @private
+ * @type {Mongod~SuperviseConfig}
+ */
+const superviseDefaults = {
+  retries: 5,
+  delay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+/**
+ * Pending or complete version detection keyed by binary path.
+ * @see Mongod.getVersion
+ * @private
+ * @type {Object.<String,Promise>}
+ */
+const versions = Object.create(null);
+
+/**
+ * Running MongoDB server processes keyed by PID, each with the
+ * {@link Promise} of its registry entry, that are killed when this process
+ * exits.
+ * @see Mongod.track
+ * @private
+ * @type {Object.<Number,Object>}
+ */
+const children = Object.create(null);
+
+/**
+ * Listeners for {@link exitEvents} installed while there are
+ * {@link children} keyed by event, or {@linkcode null}.
+ * @see Mongod.track
+ * @private
+ * @type {Object.<String,Function>}
+ */
+let exitListeners = null;
+
+/**
+ * Whether or not {@link children} are killed when this process is sent one
+ * of the signals in {@link exitEvents}; they are killed when it exits
+ * regardless.
+ * @see Mongod.setKillOnSignal
+ * @private
+ * @type {Boolean}
+ */
+let killOnSignal = true;
+
+/**
+ * Events of this process on which {@link children} are killed. The signals
+ * are raised again once handled unless another listener handles them.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const exitEvents = ['exit', 'SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/**
+ * The directory of the registry of running MongoDB server processes used to
+ * find those left behind by a process that did not exit cleanly.
+ * @see Mongod.reap
+ * @readonly
+ * @private
+ * @type {String}
+ */
+const registryPath = path.join(
+  os.tmpdir(),
+  typeof process.getuid === 'function' ?
+    `mongod-registry-${process.getuid()}` :
+    'mongod-registry'
+);
+
+/**
+ * The default directory {@link Mongod#snapshot} stores snapshots in.
+ * @see Mongod~Config#snapshotpath
+ * @readonly
+ * @private
+ * @type {String}
+ */
+const snapshotPath = path.join(
+  os.tmpdir(),
+  typeof process.getuid === 'function' ?
+    `mongod-snapshots-${process.getuid()}` :
+    'mongod-snapshots'
+);
+
+/**
+ * Addresses of {@link Mongod~Config#bind_ip} that bind every interface.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const wildcardAddresses = ['0.0.0.0', '::', '*'];
+
+/**
+ * Databases that {@link Mongod.reset} leaves alone.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const systemDatabases = ['admin', 'config', 'local'];
+
+/**
+ * The ways {@link Mongod.reset} may reset a database.
+ * @see Mongod~ResetOptions#mode
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const resetModes = ['drop', 'clear'];
+
+/**
+ * The number of collections to list in one reply when clearing a database.
+ * @see Mongod.clearDatabase
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const listBatchSize = 10000;
+
+/**
+ * The names of files in a dbpath that are left out of a snapshot.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const snapshotExclusions = ['mongod.lock'];
+
+/**
+ * The names of the errors a MongoDB server may reply to the
+ * {@linkcode shutdown} command with once it has begun to shut down.
+ * @see Mongod.requestShutdown
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const shutdownCodeNames = ['ShutdownInProgress', 'InterruptedAtShutdown'];
+
+/**
+ * The number of milliseconds to wait between checks for a MongoDB server
+ * process that is not a child of this one to exit.
+ * @see Mongod.terminate
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const reapInterval = 100;
+
+/**
+ * The number of milliseconds to wait for an orphaned MongoDB server process
+ * to exit before sending {@linkcode SIGKILL}.
+ * @see Mongod.reapEntry
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const reapTimeout = 10000;
+
 /**
  * Start and stop a local MongoDB server like a boss.
  * @class
@@ -95,153 +834,3189 @@ class Mongod extends events.EventEmitter {
   }
 
   /**
-   * Populate a given {@link Mongod~Config} with values from a
-   * given {@link Mongod~Config}.
+   * Make a directory at a given {@linkcode dir} path along with any missing
+   * parent directories.
    * @protected
-   * @argument {Mongod~Config} source
-   * @argument {Mongod~Config} target
-   * @return {Mongod~Config}
+   * @argument {String} dir
+   * @return {Promise}
    */
-  static parseConfig(source, target) {
-    if (target == null) {
-      target = Object.create(null);
-    }
+  static mkdirp(dir) {
+    return new Promise((resolve, reject) => {
+      fs.mkdir(dir, (err) => {
+        if (err === null) {
+          return resolve(null);
+        }
 
-    if (source == null) {
-      return target;
-    }
+        if (err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+          return resolve(
+            Mongod.mkdirp(path.dirname(dir)).then(() => Mongod.mkdirp(dir))
+          );
+        }
 
-    if (typeof source === 'number' || typeof source === 'string') {
-      target.port = source;
+        fs.stat(dir, (statErr, stats) => {
+          if (statErr === null && stats.isDirectory()) {
+            resolve(null);
+          }
+          else {
+            reject(err);
+          }
+        });
+      });
+    });
+  }
 
-      return target;
-    }
+  /**
+   * Copy a file or a directory and everything in it at a given
+   * {@linkcode source} path to a given {@linkcode target} path, leaving out
+   * files and directories with any of given {@linkcode exclusions} for
+   * names.
+   * @protected
+   * @argument {String} source
+   * @argument {String} target
+   * @argument {Array.<String>} [exclusions]
+   * @return {Promise}
+   */
+  static copy(source, target, exclusions) {
+    exclusions = exclusions || [];
 
-    if (typeof source !== 'object') {
-      return target;
-    }
+    return new Promise((resolve, reject) => {
+      fs.lstat(source, (err, stats) => {
+        if (err !== null) {
+          return reject(err);
+        }
 
-    if (source.bin != null) {
-      target.bin = source.bin;
-    }
+        if (stats.isDirectory()) {
+          return Mongod.mkdirp(target)
+            .then(() => new Promise((resolve, reject) =>
+              fs.readdir(source, (err, names) =>
+                err === null ? resolve(names) : reject(err))))
+            .then((names) => Promise.all(names
+              .filter((name) => exclusions.indexOf(name) === -1)
+              .map((name) => Mongod.copy(
+                path.join(source, name),
+                path.join(target, name),
+                exclusions
+              ))))
+            .then(() => resolve(null), reject);
+        }
 
-    if (source.conf != null) {
-      target.conf = source.conf;
+        // Sockets and the like are not data.
+        if (!stats.isFile()) {
+          return resolve(null);
+        }
 
-      return target;
-    }
+        const input = fs.createReadStream(source);
+        const output = fs.createWriteStream(target, { mode: stats.mode });
 
-    if (source.nojournal === true) {
-      target.nojournal = true;
+        input.once('error', reject);
+        output.once('error', reject);
+        output.once('finish', () => resolve(null));
+        input.pipe(output);
+      });
+    });
+  }
+
+  /**
+   * Make a uniquely named directory in the operating system's directory for
+   * temporary files.
+   * @protected
+   * @return {Promise}
+   */
+  static mkdtemp() {
+    const dir = path.join(
+      os.tmpdir(),
+      `mongod-${crypto.randomBytes(8).toString('hex')}`
+    );
+
+    return new Promise((resolve, reject) => {
+      fs.mkdir(dir, (err) => {
+        if (err === null) {
+          resolve(dir);
+        }
+        else {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove a file or a directory and everything in it at a given
+   * {@linkcode target} path.
+   * @protected
+   * @argument {String} target
+   * @return {Promise}
+   */
+  static rmrf(target) {
+    return new Promise((resolve, reject) => {
+      fs.lstat(target, (err, stats) => {
+        if (err !== null) {
+          return err.code === 'ENOENT' ? resolve(null) : reject(err);
+        }
+
+        if (!stats.isDirectory()) {
+          return fs.unlink(target, (err) =>
+            err === null ? resolve(null) : reject(err));
+        }
+
+        fs.readdir(target, (err, names) => {
+          if (err !== null) {
+            return reject(err);
+          }
+
+          Promise.all(names.map((name) => Mongod.rmrf(path.join(target, name))))
+            .then(() => fs.rmdir(target, (err) =>
+              err === null ? resolve(null) : reject(err)))
+            .catch(reject);
+        });
+      });
+    });
+  }
+
+  /**
+   * Set the binary of a given {@link Mongod}, downloading it first when
+   * {@link Mongod~Config#bin} is a {@link MongodBinary~Config}.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareBin(server) {
+    if (typeof server.config.bin !== 'object') {
+      server.bin = server.config.bin;
+
+      return Promise.resolve(null);
     }
 
-    if (source.storageEngine != null) {
-      target.storageEngine = source.storageEngine;
+    // MongodBinary depends on Mongod so it cannot be required until now.
+    const MongodBinary = require('./MongodBinary');
+
+    const binary = new MongodBinary(server.config.bin);
+
+    return binary.getPath().then((bin) => {
+      server.bin = bin;
+
+      return null;
+    });
+  }
+
+  /**
+   * Parse the output of {@linkcode mongod --version}.
+   * @protected
+   * @argument {String} string
+   * @return {Mongod~Version}
+   */
+  static parseVersion(string) {
+    const matches = regExp.version.exec(string);
+
+    if (matches === null) {
+      return null;
     }
 
-    if (source.dbpath != null) {
-      target.dbpath = source.dbpath;
+    const version = {
+      version: `${matches[1]}.${matches[2]}.${matches[3]}${matches[4]}`,
+      major: Number(matches[1]),
+      minor: Number(matches[2]),
+      patch: Number(matches[3]),
+      gitVersion: null,
+      modules: []
+    };
+    const buildInfo = regExp.buildInfo.exec(string);
+
+    if (buildInfo !== null) {
+      try {
+        const info = JSON.parse(buildInfo[1]);
+
+        version.gitVersion = info.gitVersion || null;
+        version.modules = Array.isArray(info.modules) ? info.modules : [];
+      }
+      catch (err) {
+        // Fall back to what the version line says.
+      }
+
+      return version;
     }
 
-    if (source.port != null) {
-      target.port = source.port;
+    const gitVersion = regExp.gitVersion.exec(string);
+    const modules = regExp.modules.exec(string);
+
+    if (gitVersion !== null) {
+      version.gitVersion = gitVersion[1];
     }
 
-    return target;
+    if (modules !== null && modules[1].trim() !== 'none') {
+      version.modules = modules[1].trim().split(/\s+/);
+    }
+
+    return version;
   }
 
   /**
-   * Parse process flags for MongoDB from a given {@link Mongod~Config}.
+   * Determine if a given {@link Mongod~Version} is at least a given
+   * {@linkcode major} and {@linkcode minor} version.
    * @protected
-   * @argument {Mongod~Config} config
-   * @return {Array.<String>}
+   * @argument {Mongod~Version} version
+   * @argument {Number} major
+   * @argument {Number} minor
+   * @return {Boolean}
    */
-  static parseFlags(config) {
-    if (config.conf != null) {
-      return ['--config', config.conf];
+  static isVersionAtLeast(version, major, minor) {
+    return version.major > major ||
+      (version.major === major && version.minor >= minor);
+  }
+
+  /**
+   * Get the {@link Mongod~Version} of a given MongoDB server {@linkcode bin}.
+   * @protected
+   * @argument {String} bin
+   * @return {Promise}
+   */
+  static getVersion(bin) {
+    if (versions[bin] != null) {
+      return versions[bin];
     }
 
-    const flags = [];
+    versions[bin] = new Promise((resolve, reject) => {
+      childprocess.execFile(bin, ['--version'], (err, stdout) => {
+        const version = Mongod.parseVersion(stdout);
 
-    if (config.nojournal) {
-      flags.push('--nojournal');
+        if (version !== null) {
+          resolve(version);
+        }
+        else {
+          delete versions[bin];
+          reject(err || new Error(`Unrecognized version: ${stdout}`));
+        }
+      });
+    });
+
+    return versions[bin];
+  }
+
+  /**
+   * Set the {@link Mongod~Version} of a given {@link Mongod}.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareVersion(server) {
+    return Mongod.getVersion(server.bin).then((version) => {
+      server.version = version;
+
+      return null;
+    });
+  }
+
+  /**
+   * Make the data directory for a given {@link Mongod}, or a temporary one
+   * when {@link Mongod~Config#dbpath} is omitted, before it starts.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareDbpath(server) {
+    const config = server.config;
+
+    // Keep the data of a supervised server that is being restarted.
+    if (server.isRestarting && server.isTemporaryDbpath) {
+      server.isFreshDbpath = false;
+
+      return Promise.resolve(null);
     }
 
-    if (config.storageEngine != null) {
-      flags.push('--storageEngine', config.storageEngine);
+    server.isTemporaryDbpath = false;
+    server.isFreshDbpath = false;
+
+    if (
+      config.configdb != null ||
+      (typeof config.conf === 'string' && config.dbpath == null)
+    ) {
+      server.dbpath = null;
+
+      return Promise.resolve(null);
     }
 
     if (config.dbpath != null) {
-      flags.push('--dbpath', config.dbpath);
+      server.dbpath = config.dbpath;
+
+      return Mongod.mkdirp(config.dbpath).then(() => new Promise(
+        (resolve, reject) => fs.readdir(config.dbpath, (err, names) => {
+          if (err !== null) {
+            return reject(err);
+          }
+
+          server.isFreshDbpath = names.length === 0;
+
+          resolve(null);
+        })
+      ));
     }
 
-    if (config.port != null) {
-      flags.push('--port', config.port);
+    return Mongod.mkdtemp().then((dir) => {
+      server.dbpath = dir;
+      server.isTemporaryDbpath = true;
+      server.isFreshDbpath = true;
+
+      return null;
+    });
+  }
+
+  /**
+   * Get the path of the snapshot with a given {@linkcode name} for a given
+   * {@link Mongod}.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} name
+   * @throws {MongodError}
+   * @return {String}
+   */
+  static getSnapshotPath(server, name) {
+    if (
+      typeof name !== 'string' ||
+      name.length === 0 ||
+      name.charAt(0) === '.' ||
+      path.basename(name) !== name
+    ) {
+      throw new MongodError(`Invalid snapshot name: ${name}`);
     }
 
-    return flags;
+    return path.join(server.config.snapshotpath || snapshotPath, name);
   }
 
   /**
-   * Parse MongoDB server output for terminal messages.
+   * Replace the contents of the dbpath of a given {@link Mongod} with the
+   * snapshot passed to {@link Mongod.restore}, if any.
    * @protected
-   * @argument {String} string
-   * @return {Object}
+   * @argument {Mongod} server
+   * @return {Promise}
    */
-  static parseData(string) {
-    const matches = regExp.terminalMessage.exec(string);
+  static prepareSnapshot(server) {
+    if (server.restoreName === null) {
+      return Promise.resolve(null);
+    }
+
+    if (server.dbpath === null) {
+      return Promise.reject(
+        new MongodError('Cannot restore a snapshot without a dbpath')
+      );
+    }
+
+    const dbpath = server.dbpath;
+    const snapshot = Mongod.getSnapshotPath(server, server.restoreName);
+
+    return new Promise((resolve, reject) => fs.readdir(dbpath, (err, names) =>
+      err === null ? resolve(names) : reject(err)))
+      .then((names) => Promise.all(
+        names.map((name) => Mongod.rmrf(path.join(dbpath, name)))
+      ))
+      .then(() => Mongod.copy(snapshot, dbpath))
+      .then(() => {
+        server.isFreshDbpath = false;
+
+        return null;
+      });
+  }
+
+  /**
+   * Write a key file for internal authentication between the members of a
+   * replica set or sharded cluster to a temporary path that only the current
+   * user may read and resolve the path.
+   * @protected
+   * @return {Promise}
+   */
+  static writeKeyFile() {
+    const file = path.join(
+      os.tmpdir(),
+      `mongod-${crypto.randomBytes(8).toString('hex')}.key`
+    );
+    const key = crypto.randomBytes(756).toString('base64');
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, key, { mode: 0o600 }, (err) => {
+        if (err !== null) {
+          return reject(err);
+        }
+
+        resolve(file);
+      });
+    });
+  }
+
+  /**
+   * Set the key file of a given {@link Mongod}; either
+   * {@link Mongod~Config#keyFile} or one written by
+   * {@link Mongod.writeKeyFile} when it is {@linkcode true}.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareKeyFile(server) {
+    if (server.config.keyFile !== true) {
+      server.keyFile = server.config.keyFile;
+
+      return Promise.resolve(null);
+    }
+
+    return Mongod.writeKeyFile().then((file) => {
+      server.keyFile = file;
+      server.isTemporaryKeyFile = true;
 
-    if (matches === null) {
       return null;
+    });
+  }
+
+  /**
+   * Remove the key file written for the last process of a given
+   * {@link Mongod} after it stops.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static cleanKeyFile(server) {
+    if (!server.isTemporaryKeyFile) {
+      return Promise.resolve(null);
     }
 
-    const result = {
-      err: null,
-      key: matches
-        .pop()
-        .replace(regExp.whiteSpace, '')
-        .toLowerCase()
-    };
+    server.isTemporaryKeyFile = false;
 
-    switch (result.key) {
-      case 'waitingforconnections':
-        break;
+    return Mongod.rmrf(server.keyFile);
+  }
 
-      case 'alreadyinuse':
-        result.err = new Error('Address already in use');
-        result.err.code = -1;
+  /**
+   * Open {@link Mongod~Config#logFile} of a given {@link Mongod} for
+   * appending before it starts.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareLogFile(server) {
+    const logFile = server.config.logFile;
 
-        break;
+    if (logFile === null || server.logFileDescriptor !== null) {
+      return Promise.resolve(null);
+    }
 
-      case 'denied':
-        result.err = new Error('Permission denied');
-        result.err.code = -2;
+    return Mongod.mkdirp(path.dirname(logFile.path))
+      .then(() => new Promise((resolve, reject) => {
+        fs.open(logFile.path, 'a', (err, fd) => {
+          if (err !== null) {
+            return reject(err);
+          }
+
+          fs.fstat(fd, (err, stats) => {
+            if (err !== null) {
+              return fs.close(fd, () => reject(err));
+            }
+
+            server.logFileDescriptor = fd;
+            server.logFileSize = stats.size;
+
+            resolve(null);
+          });
+        });
+      }));
+  }
+
+  /**
+   * Close {@link Mongod~Config#logFile} of a given {@link Mongod} if it is
+   * open.
+   * @protected
+   * @argument {Mongod} server
+   * @return {undefined}
+   */
+  static closeLogFile(server) {
+    if (server.logFileDescriptor === null) {
+      return;
+    }
+
+    const fd = server.logFileDescriptor;
+
+    server.logFileDescriptor = null;
+
+    try {
+      fs.closeSync(fd);
+    }
+    catch (err) {
+      // There is nothing left to write.
+    }
+  }
+
+  /**
+   * Rename {@link Mongod~Config#logFile} of a given {@link Mongod} and each
+   * rotated file to the next number, dropping the oldest, and open a new
+   * one.
+   * @protected
+   * @argument {Mongod} server
+   * @return {undefined}
+   */
+  static rotateLogFile(server) {
+    const logFile = server.config.logFile;
+
+    Mongod.closeLogFile(server);
+
+    for (let i = logFile.maxFiles; i > 0; --i) {
+      const source = i === 1 ? logFile.path : `${logFile.path}.${i - 1}`;
+
+      try {
+        fs.renameSync(source, `${logFile.path}.${i}`);
+      }
+      catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+
+    server.logFileDescriptor = fs.openSync(logFile.path, 'w');
+    server.logFileSize = 0;
+  }
+
+  /**
+   * Keep a given {@linkcode line} of output of a given {@link Mongod} in
+   * {@link Mongod#logs} and copy it to {@link Mongod~Config#logFile},
+   * rotating the file first if the line would grow it past its maximum size.
+   * Writes are synchronous so lines stay in order across rotations.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} line
+   * @return {undefined}
+   */
+  static recordLine(server, line) {
+    const size = server.config.logBufferSize;
+
+    if (size > 0) {
+      server.logs.push(line);
+
+      if (server.logs.length > size) {
+        server.logs.splice(0, server.logs.length - size);
+      }
+    }
+
+    if (server.logFileDescriptor === null) {
+      return;
+    }
+
+    const data = `${line}\n`;
+    const length = Buffer.byteLength(data);
+
+    try {
+      if (
+        server.logFileSize > 0 &&
+        server.logFileSize + length > server.config.logFile.maxSize
+      ) {
+        Mongod.rotateLogFile(server);
+      }
+
+      fs.writeSync(server.logFileDescriptor, data);
+
+      server.logFileSize += length;
+    }
+    catch (err) {
+      // Stop copying output rather than throw from a stream listener.
+      Mongod.closeLogFile(server);
+    }
+  }
+
+  /**
+   * Check that the files of {@link Mongod~Config#tls} for a given
+   * {@link Mongod} exist and are readable before it starts.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareTLS(server) {
+    const tls = server.config.tls;
+
+    if (tls == null) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.all(['certificateKeyFile', 'CAFile']
+      .filter((key) => tls[key] != null)
+      .map((key) => new Promise((resolve, reject) => {
+        fs.access(tls[key], fs.R_OK, (err) => {
+          if (err !== null) {
+            return reject(new MongodError.InvalidOptionError(
+              'tls',
+              `tls.${key} is not readable: ${tls[key]} (${err.code})`
+            ));
+          }
+
+          resolve(null);
+        });
+      })))
+      .then(() => null);
+  }
+
+  /**
+   * Resolve options for {@link MongodClient.connect} to connect to a given
+   * {@link Mongod} with TLS or {@linkcode null} unless
+   * {@link Mongod~TLSConfig#mode} is {@linkcode requireTLS}. The server
+   * certificate is presented as the client certificate and verified against
+   * {@link Mongod~TLSConfig#CAFile} when set, but not its host name.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static getClientTLSOptions(server) {
+    const tls = server.config.tls;
+
+    if (tls == null || tls.mode !== 'requireTLS') {
+      return Promise.resolve(null);
+    }
+
+    const files = [tls.certificateKeyFile]
+      .concat(tls.CAFile != null ? tls.CAFile : []);
+
+    return Promise.all(files.map((file) => new Promise((resolve, reject) => {
+      fs.readFile(file, (err, data) => err === null ?
+        resolve(data) :
+        reject(err));
+    }))).then((data) => ({
+      cert: data[0],
+      key: data[0],
+      ca: data.length > 1 ? data[1] : undefined,
+      rejectUnauthorized: data.length > 1,
+      checkServerIdentity: () => undefined
+    }));
+  }
+
+  /**
+   * Determine if a given {@link Mongod~Config} has credentials; an object
+   * for {@link Mongod~Config#auth}.
+   * @protected
+   * @argument {Mongod~Config} config
+   * @return {Boolean}
+   */
+  static hasCredentials(config) {
+    return config.auth !== null && typeof config.auth === 'object';
+  }
+
+  /**
+   * Create the user of {@link Mongod~Config#auth} on a given
+   * {@link Mongod} through the localhost exception, over a loopback
+   * address; allowed only until a first user exists.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static createUser(server) {
+    const auth = server.config.auth;
+    const command = {
+      createUser: auth.username,
+      pwd: auth.password,
+      roles: auth.roles || [{ role: 'root', db: 'admin' }]
+    };
+
+    return Mongod.getClientTLSOptions(server)
+      .then((tlsOptions) => MongodClient.connect(
+        server.port,
+        Mongod.getLoopbackHost(server.config),
+        0,
+        tlsOptions
+      ))
+      .then((client) => client.command('admin', command).then(
+        () => client.close(),
+        (err) => client.close().then(() => {
+          throw err;
+        })
+      ));
+  }
+
+  /**
+   * Remove the temporary data directory of a given {@link Mongod} after it
+   * stops unless {@link Mongod~Config#keepdbpath} says to keep it.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Boolean} failed
+   * Whether or not the server stopped because it failed to start.
+   * @return {Promise}
+   */
+  static cleanDbpath(server, failed) {
+    const keepdbpath = server.config.keepdbpath;
+
+    if (
+      !server.isTemporaryDbpath ||
+      server.isRestarting ||
+      keepdbpath === true ||
+      (keepdbpath === 'failure' && failed)
+    ) {
+      return Promise.resolve(null);
+    }
+
+    const dbpath = server.dbpath;
+
+    server.dbpath = null;
+    server.isTemporaryDbpath = false;
+
+    return Mongod.rmrf(dbpath);
+  }
+
+  /**
+   * Determine if a given {@linkcode port} asks for a free port to be
+   * allocated automatically.
+   * @protected
+   * @argument {(Number|String)} port
+   * @return {Boolean}
+   */
+  static isAutoPort(port) {
+    return port === 0 || port === '0' || port === 'auto';
+  }
+
+  /**
+   * Get a port that is free to bind to.
+   * @protected
+   * @return {Promise}
+   */
+  static getFreePort() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        const port = server.address().port;
+
+        server.close(() => resolve(port));
+      });
+    });
+  }
+
+  /**
+   * Set the port of a given {@link Mongod}, allocating a free one when
+   * {@link Mongod~Config#port} is {@linkcode 0} or {@linkcode 'auto'}.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static preparePort(server) {
+    if (!Mongod.isAutoPort(server.config.port)) {
+      server.port = server.config.port;
+
+      return Promise.resolve(null);
+    }
+
+    // Clients of a supervised server expect it back on the same port.
+    if (server.isRestarting && server.port !== null) {
+      return Promise.resolve(null);
+    }
+
+    return Mongod.getFreePort().then((port) => {
+      server.port = port;
+
+      return null;
+    });
+  }
+
+  /**
+   * Populate a given {@link Mongod~Config} with values from a
+   * given {@link Mongod~Config}.
+   * @protected
+   * @argument {Mongod~Config} source
+   * @argument {Mongod~Config} target
+   * @return {Mongod~Config}
+   */
+  static parseConfig(source, target) {
+    if (target == null) {
+      target = Object.create(null);
+    }
+
+    if (source == null) {
+      return target;
+    }
+
+    if (typeof source === 'number' || typeof source === 'string') {
+      target.port = source;
+
+      return target;
+    }
+
+    if (typeof source !== 'object') {
+      return target;
+    }
+
+    if (source.bin != null) {
+      target.bin = source.bin;
+    }
+
+    if (source.probe === true) {
+      target.probe = true;
+    }
+
+    if (source.startupTimeout != null) {
+      target.startupTimeout = source.startupTimeout;
+    }
+
+    if (source.shutdownTimeout != null) {
+      target.shutdownTimeout = source.shutdownTimeout;
+    }
+
+    if (source.conf != null) {
+      if (typeof source.conf !== 'string' && source.conf !== true) {
+        throw new MongodError.InvalidOptionError(
+          'conf',
+          'conf must be a path or true'
+        );
+      }
+
+      target.conf = source.conf;
+
+      // Use the port in the MongoDB configuration file unless overridden.
+      if (typeof source.conf === 'string') {
+        target.port = null;
+      }
+    }
+
+    if (source.nojournal === true) {
+      target.nojournal = true;
+    }
+
+    for (let key of Object.keys(commandLineOptions)) {
+      if (source[key] != null) {
+        target[key] = Mongod.parseOption(key, source[key]);
+      }
+    }
+
+    // The user of credentials is created through the localhost exception.
+    if (
+      Mongod.hasCredentials(target) &&
+      target.setParameter != null &&
+      ['false', '0'].indexOf(
+        String(target.setParameter.enableLocalhostAuthBypass)
+      ) !== -1
+    ) {
+      throw new MongodError.InvalidOptionError(
+        'setParameter',
+        'auth credentials require enableLocalhostAuthBypass to create a user'
+      );
+    }
+
+    if (
+      Mongod.hasCredentials(target) &&
+      target.bind_ip != null &&
+      Mongod.getLoopbackHost(target) === null
+    ) {
+      throw new MongodError.InvalidOptionError(
+        'bind_ip',
+        'auth credentials require bind_ip to include a loopback address'
+      );
+    }
+
+    if (source.keyFile != null) {
+      if (
+        source.keyFile !== true &&
+        (typeof source.keyFile !== 'string' || source.keyFile.length === 0)
+      ) {
+        throw new MongodError.InvalidOptionError(
+          'keyFile',
+          'keyFile must be a path or true'
+        );
+      }
+
+      target.keyFile = source.keyFile;
+    }
+
+    if (source.tls != null) {
+      target.tls = Mongod.parseTLS(source.tls);
+    }
+
+    if (source.supervise != null) {
+      target.supervise = Mongod.parseSupervise(source.supervise);
+    }
+
+    if (source.logBufferSize != null) {
+      const size = source.logBufferSize;
+
+      if (typeof size !== 'number' || size < 0 || size % 1 !== 0) {
+        throw new MongodError.InvalidOptionError(
+          'logBufferSize',
+          'logBufferSize must be a whole number'
+        );
+      }
+
+      target.logBufferSize = size;
+    }
+
+    if (source.logFile != null) {
+      target.logFile = Mongod.parseLogFile(source.logFile);
+    }
+
+    if (source.args != null) {
+      target.args = Mongod.parseArgs(source.args);
+    }
+
+    if (source.storageEngine != null) {
+      target.storageEngine = source.storageEngine;
+    }
+
+    if (source.dbpath != null) {
+      target.dbpath = source.dbpath;
+    }
+
+    if (source.snapshotpath != null) {
+      target.snapshotpath = source.snapshotpath;
+    }
+
+    if (source.keepdbpath === true || source.keepdbpath === 'failure') {
+      target.keepdbpath = source.keepdbpath;
+    }
+
+    if (source.port != null) {
+      target.port = source.port;
+    }
+
+    return target;
+  }
+
+  /**
+   * Validate the value of a given {@link Mongod~Config} property that sets a
+   * MongoDB server command-line option.
+   * @protected
+   * @argument {String} key
+   * @argument {*} value
+   * @throws {InvalidOptionError}
+   * @return {*}
+   */
+  static parseOption(key, value) {
+    const type = optionTypes[commandLineOptions[key].type];
+
+    if (!type.test(value)) {
+      throw new MongodError.InvalidOptionError(
+        key,
+        `${key} must be ${type.description}`
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate {@link Mongod~Config#args}; an array of strings passed to a
+   * MongoDB server as is that may not contain flags set by other
+   * {@link Mongod~Config} properties or {@linkcode --fork}.
+   * @protected
+   * @argument {Array.<String>} args
+   * @throws {InvalidOptionError}
+   * @return {Array.<String>}
+   */
+  static parseArgs(args) {
+    if (
+      !Array.isArray(args) ||
+      !args.every((arg) => typeof arg === 'string')
+    ) {
+      throw new MongodError.InvalidOptionError(
+        'args',
+        'args must be an array of strings'
+      );
+    }
+
+    for (let arg of args) {
+      const flag = arg.split('=')[0];
+
+      if (!Object.prototype.hasOwnProperty.call(reservedFlags, flag)) {
+        continue;
+      }
+
+      if (reservedFlags[flag] === null) {
+        throw new MongodError.InvalidOptionError(
+          'args',
+          `${flag} is not supported`
+        );
+      }
+
+      throw new MongodError.InvalidOptionError(
+        'args',
+        `Use ${reservedFlags[flag]} instead of ${flag} in args`
+      );
+    }
+
+    return args.slice();
+  }
+
+  /**
+   * Validate {@link Mongod~Config#tls} and resolve a copy with defaults and
+   * its mode in the form used by MongoDB 4.2 and later.
+   * @protected
+   * @argument {Mongod~TLSConfig} tls
+   * @throws {InvalidOptionError}
+   * @return {Mongod~TLSConfig}
+   */
+  static parseTLS(tls) {
+    if (tls === null || typeof tls !== 'object' || Array.isArray(tls)) {
+      throw new MongodError.InvalidOptionError(
+        'tls',
+        'tls must be an object'
+      );
+    }
+
+    const mode = tls.mode == null ?
+      'requireTLS' :
+      String(tls.mode).replace(regExp.sslSuffix, 'TLS');
+
+    if (tlsModes.indexOf(mode) === -1) {
+      throw new MongodError.InvalidOptionError(
+        'tls',
+        `tls.mode must be one of ${tlsModes.join(', ')}`
+      );
+    }
+
+    for (let key of ['certificateKeyFile', 'CAFile']) {
+      if (
+        tls[key] != null &&
+        (typeof tls[key] !== 'string' || tls[key].length === 0)
+      ) {
+        throw new MongodError.InvalidOptionError(
+          'tls',
+          `tls.${key} must be a path`
+        );
+      }
+    }
+
+    if (mode !== 'disabled' && tls.certificateKeyFile == null) {
+      throw new MongodError.InvalidOptionError(
+        'tls',
+        `tls.certificateKeyFile is required when tls.mode is ${mode}`
+      );
+    }
+
+    if (
+      tls.allowConnectionsWithoutCertificates != null &&
+      typeof tls.allowConnectionsWithoutCertificates !== 'boolean'
+    ) {
+      throw new MongodError.InvalidOptionError(
+        'tls',
+        'tls.allowConnectionsWithoutCertificates must be a boolean'
+      );
+    }
+
+    return {
+      mode,
+      certificateKeyFile: tls.certificateKeyFile || null,
+      CAFile: tls.CAFile || null,
+      allowConnectionsWithoutCertificates:
+        tls.allowConnectionsWithoutCertificates === true
+    };
+  }
+
+  /**
+   * Validate {@link Mongod~Config#supervise} and resolve a
+   * {@link Mongod~SuperviseConfig} with defaults or {@linkcode null} when
+   * it is {@linkcode false}.
+   * @protected
+   * @argument {(Boolean|Mongod~SuperviseConfig)} supervise
+   * @throws {InvalidOptionError}
+   * @return {Mongod~SuperviseConfig}
+   */
+  static parseSupervise(supervise) {
+    if (supervise === false) {
+      return null;
+    }
+
+    if (supervise === true) {
+      return Object.assign({}, superviseDefaults);
+    }
+
+    if (typeof supervise !== 'object' || Array.isArray(supervise)) {
+      throw new MongodError.InvalidOptionError(
+        'supervise',
+        'supervise must be a boolean or an object'
+      );
+    }
+
+    const result = Object.assign({}, superviseDefaults);
+
+    for (let key of Object.keys(superviseDefaults)) {
+      const value = supervise[key];
+      const min = key === 'factor' ? 1 : 0;
+
+      if (value == null) {
+        continue;
+      }
+
+      if (typeof value !== 'number' || !isFinite(value) || value < min) {
+        throw new MongodError.InvalidOptionError(
+          'supervise',
+          `supervise.${key} must be a number of at least ${min}`
+        );
+      }
+
+      result[key] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate {@link Mongod~Config#logFile} and resolve a
+   * {@link Mongod~LogFileConfig} with defaults.
+   * @protected
+   * @argument {(String|Mongod~LogFileConfig)} logFile
+   * @throws {InvalidOptionError}
+   * @return {Mongod~LogFileConfig}
+   */
+  static parseLogFile(logFile) {
+    if (typeof logFile === 'string') {
+      logFile = { path: logFile };
+    }
+
+    if (
+      typeof logFile !== 'object' ||
+      typeof logFile.path !== 'string' ||
+      logFile.path.length === 0
+    ) {
+      throw new MongodError.InvalidOptionError(
+        'logFile',
+        'logFile must be a path or an object with one'
+      );
+    }
+
+    const result = Object.assign({ path: logFile.path }, logFileDefaults);
+
+    for (let key of Object.keys(logFileDefaults)) {
+      const value = logFile[key];
+      const min = key === 'maxSize' ? 1 : 0;
+
+      if (value == null) {
+        continue;
+      }
+
+      if (typeof value !== 'number' || !isFinite(value) || value < min) {
+        throw new MongodError.InvalidOptionError(
+          'logFile',
+          `logFile.${key} must be a number of at least ${min}`
+        );
+      }
+
+      result[key] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the TLS options of a given {@link Mongod~TLSConfig} as an array of
+   * objects with a flag, a dotted configuration file setting, and a value;
+   * the legacy {@linkcode ssl} forms before a given {@link Mongod~Version}
+   * of MongoDB 4.2.
+   * @protected
+   * @argument {Mongod~TLSConfig} tls
+   * @argument {Mongod~Version} [version]
+   * @throws {InvalidOptionError}
+   * @return {Array.<Object>}
+   */
+  static parseTLSOptions(tls, version) {
+    const form = version == null || Mongod.isVersionAtLeast(version, 4, 2) ?
+      'tls' :
+      'ssl';
+    const values = Mongod.parseTLS(tls);
+
+    if (form === 'ssl') {
+      values.mode = values.mode.replace(regExp.tlsSuffix, 'SSL');
+    }
+
+    return Object.keys(tlsOptions)
+      .filter((key) => values[key] != null && values[key] !== false)
+      .map((key) => ({
+        flag: tlsOptions[key][form].flag,
+        setting: tlsOptions[key][form].setting,
+        value: values[key]
+      }));
+  }
+
+  /**
+   * Get the name of a given storage engine supported by a given
+   * {@link Mongod~Version}. The in-memory storage engine of MongoDB
+   * Enterprise is substituted by the one community builds ship for testing.
+   * @protected
+   * @argument {String} storageEngine
+   * @argument {Mongod~Version} [version]
+   * @throws {UnsupportedOptionError}
+   * @return {String}
+   */
+  static parseStorageEngine(storageEngine, version) {
+    if (version == null) {
+      return storageEngine;
+    }
+
+    const isEnterprise = version.modules.indexOf('enterprise') !== -1;
+    const hasEphemeralForTest = !Mongod.isVersionAtLeast(version, 7, 0);
+
+    if (storageEngine === 'inMemory' && !isEnterprise) {
+      if (!hasEphemeralForTest) {
+        throw new MongodError.UnsupportedOptionError(
+          'storageEngine',
+          version,
+          'The inMemory storage engine requires MongoDB Enterprise'
+        );
+      }
+
+      return 'ephemeralForTest';
+    }
+
+    if (storageEngine === 'ephemeralForTest' && !hasEphemeralForTest) {
+      throw new MongodError.UnsupportedOptionError(
+        'storageEngine',
+        version,
+        'The ephemeralForTest storage engine was removed in MongoDB 7.0'
+      );
+    }
+
+    return storageEngine;
+  }
+
+  /**
+   * Parse process flags for MongoDB from a given {@link Mongod~Config},
+   * adjusted for a given {@link Mongod~Version} when known.
+   * @protected
+   * @argument {Mongod~Config} config
+   * @argument {Mongod~Version} [version]
+   * @throws {UnsupportedOptionError}
+   * @return {Array.<String>}
+   */
+  static parseFlags(config, version) {
+    const flags = [];
+
+    // Journaling cannot be disabled as of MongoDB 6.1.
+    if (
+      config.nojournal &&
+      (version == null || !Mongod.isVersionAtLeast(version, 6, 1))
+    ) {
+      flags.push('--nojournal');
+    }
+
+    if (config.storageEngine != null) {
+      flags.push(
+        '--storageEngine',
+        Mongod.parseStorageEngine(config.storageEngine, version)
+      );
+    }
+
+    if (config.dbpath != null) {
+      flags.push('--dbpath', config.dbpath);
+    }
+
+    for (let key of Object.keys(commandLineOptions)) {
+      const option = commandLineOptions[key];
+
+      if (config[key] != null) {
+        flags.push.apply(
+          flags,
+          optionTypes[option.type].format(option.flag, config[key])
+        );
+      }
+    }
+
+    if (typeof config.keyFile === 'string') {
+      flags.push('--keyFile', config.keyFile);
+    }
+
+    if (config.tls != null) {
+      for (let option of Mongod.parseTLSOptions(config.tls, version)) {
+        flags.push.apply(
+          flags,
+          option.value === true ? [option.flag] : [option.flag, option.value]
+        );
+      }
+    }
+
+    if (config.port != null) {
+      flags.push('--port', config.port);
+    }
+
+    if (config.args != null) {
+      flags.push.apply(flags, config.args);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Parse settings of a MongoDB configuration file from a given
+   * {@link Mongod~Config}, adjusted for a given {@link Mongod~Version} when
+   * known.
+   * @protected
+   * @argument {Mongod~Config} config
+   * @argument {Mongod~Version} [version]
+   * @throws {UnsupportedOptionError}
+   * @return {Object}
+   */
+  static parseSettings(config, version) {
+    const paths = Object.create(null);
+    const settings = {};
+
+    // Journaling cannot be disabled as of MongoDB 6.1.
+    if (
+      config.nojournal &&
+      (version == null || !Mongod.isVersionAtLeast(version, 6, 1))
+    ) {
+      paths['storage.journal.enabled'] = false;
+    }
+
+    if (config.storageEngine != null) {
+      paths['storage.engine'] =
+        Mongod.parseStorageEngine(config.storageEngine, version);
+    }
+
+    if (config.dbpath != null) {
+      paths['storage.dbPath'] = config.dbpath;
+    }
+
+    for (let key of Object.keys(commandLineOptions)) {
+      if (config[key] != null && config[key] !== false) {
+        Object.assign(paths, commandLineOptions[key].setting(config[key]));
+      }
+    }
+
+    if (typeof config.keyFile === 'string') {
+      paths['security.keyFile'] = config.keyFile;
+    }
+
+    if (config.tls != null) {
+      for (let option of Mongod.parseTLSOptions(config.tls, version)) {
+        paths[option.setting] = option.value;
+      }
+    }
+
+    if (config.port != null) {
+      paths['net.port'] = Number(config.port);
+    }
+
+    for (let key of Object.keys(paths)) {
+      const names = key.split('.');
+      const name = names.pop();
+      const parent = names.reduce((object, name) =>
+        object[name] = object[name] || {}, settings);
+
+      parent[name] = paths[key];
+    }
+
+    return settings;
+  }
+
+  /**
+   * Merge settings of a MongoDB configuration file from a given
+   * {@linkcode source} into a given {@linkcode target}, replacing values
+   * other than nested objects.
+   * @protected
+   * @argument {Object} target
+   * @argument {Object} source
+   * @return {Object}
+   */
+  static mergeSettings(target, source) {
+    for (let key of Object.keys(source)) {
+      const value = source[key];
+
+      if (
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        target[key] !== null &&
+        typeof target[key] === 'object' &&
+        !Array.isArray(target[key])
+      ) {
+        Mongod.mergeSettings(target[key], value);
+      }
+      else {
+        target[key] = value;
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Build the command to start a MongoDB server with a given
+   * {@link Mongod~Config}, adjusted for a given {@link Mongod~Version} when
+   * known. When {@link Mongod~Config#conf} is set, the command reads a
+   * rendered configuration file that is not written by this method. A port
+   * allocated automatically is only known once {@link Mongod#open} picks it.
+   * @argument {Mongod~Config} config
+   * @argument {Mongod~Version} [version]
+   * @throws {UnsupportedOptionError}
+   * @throws {InvalidOptionError}
+   * @return {Mongod~Command}
+   */
+  static buildCommand(config, version) {
+    const bin = typeof config.bin === 'string' ? config.bin : 'mongod';
+
+    if (Mongod.isAutoPort(config.port)) {
+      throw new MongodError.InvalidOptionError(
+        'port',
+        'port must be a number to build a command; it is allocated on open'
+      );
+    }
+
+    if (config.conf == null) {
+      return {
+        argv: [bin].concat(Mongod.parseFlags(config, version)),
+        conf: null
+      };
+    }
+
+    const settings = typeof config.conf === 'string' ?
+      jsyaml.safeLoad(fs.readFileSync(config.conf, 'utf8')) || {} :
+      {};
+    const file = path.join(
+      os.tmpdir(),
+      `mongod-${crypto.randomBytes(8).toString('hex')}.conf`
+    );
+
+    Mongod.mergeSettings(settings, Mongod.parseSettings(config, version));
+
+    return {
+      argv: [bin, '--config', file].concat(config.args || []),
+      conf: {
+        path: file,
+        settings,
+        contents: jsyaml.safeDump(settings)
+      }
+    };
+  }
+
+  /**
+   * Parse a line of MongoDB server output in either the legacy text or the
+   * structured JSON log format.
+   * @protected
+   * @argument {String} line
+   * @return {Mongod~LogEntry}
+   */
+  static parseLog(line) {
+    const entry = {
+      timestamp: null,
+      severity: null,
+      component: null,
+      id: null,
+      context: null,
+      msg: String(line).trim(),
+      attr: null
+    };
+
+    if (entry.msg[0] === '{') {
+      let json = null;
+
+      try {
+        json = JSON.parse(entry.msg);
+      }
+      catch (err) {
+        return entry;
+      }
+
+      if (json === null || typeof json !== 'object' || json.msg == null) {
+        return entry;
+      }
+
+      entry.timestamp = json.t != null && json.t.$date != null ?
+        new Date(json.t.$date) :
+        null;
+      entry.severity = json.s != null ? json.s : null;
+      entry.component = json.c != null ? json.c : null;
+      entry.id = json.id != null ? json.id : null;
+      entry.context = json.ctx != null ? json.ctx : null;
+      entry.msg = json.msg;
+      entry.attr = json.attr != null ? json.attr : null;
+
+      return entry;
+    }
+
+    const matches = regExp.textLogEntry.exec(entry.msg);
+
+    if (matches !== null) {
+      entry.timestamp = new Date(matches[1]);
+      entry.severity = matches[2];
+      entry.component = matches[3] === '-' ? null : matches[3];
+      entry.context = matches[4];
+      entry.msg = matches[5];
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get a message describing the error, if any, attached to a given
+   * structured {@link Mongod~LogEntry}.
+   * @protected
+   * @argument {Mongod~LogEntry} entry
+   * @return {String}
+   */
+  static getLogError(entry) {
+    const attr = entry.attr || {};
+    const error = attr.error != null ? attr.error : attr.reason;
+
+    if (error == null) {
+      return entry.msg;
+    }
+
+    if (typeof error === 'object') {
+      return `${entry.msg}: ${error.errmsg || error.message || ''}`;
+    }
+
+    return `${entry.msg}: ${error}`;
+  }
+
+  /**
+   * Determine if a given {@link Mongod~LogEntry}, or a given legacy text
+   * {@linkcode message}, reports a TLS error by its code or name.
+   * @protected
+   * @argument {Mongod~LogEntry} entry
+   * @argument {String} message
+   * @return {Boolean}
+   */
+  static isTLSError(entry, message) {
+    const error = entry.attr != null ? entry.attr.error : null;
+
+    if (error != null && typeof error === 'object') {
+      return tlsErrorCodes[error.code] != null;
+    }
+
+    return regExp.tls.test(message);
+  }
+
+  /**
+   * Parse MongoDB server output for terminal messages. Structured log entries
+   * are matched by ID and severity; legacy text by severity and the known
+   * messages of {@link regExp}. Errors are typed by their cause and carry the
+   * {@link Mongod~LogEntry}.
+   * @protected
+   * @argument {String} string
+   * @return {Object}
+   */
+  static parseData(string) {
+    if (typeof string !== 'string') {
+      return null;
+    }
+
+    const entry = Mongod.parseLog(string);
+    let key = null;
+    let message = string.trim();
+
+    if (entry.id !== null) {
+      key = logIds[entry.id] || (entry.severity === 'F' ? 'error' : null);
+      message = Mongod.getLogError(entry);
+
+      if (key === 'listenerror' || key === 'exception') {
+        if (regExp.addressInUse.test(message)) {
+          key = 'alreadyinuse';
+        }
+        else if (regExp.permissionDenied.test(message)) {
+          key = 'denied';
+        }
+        else {
+          key = 'exception';
+        }
+      }
+    }
+    // Legacy text is terminal by severity or a known message alone.
+    else if (
+      regExp.terminalMessage.test(message) ||
+      entry.severity === 'E' ||
+      entry.severity === 'F'
+    ) {
+      if (regExp.waitingForConnections.test(message)) {
+        key = 'waitingforconnections';
+      }
+      else if (regExp.addressInUse.test(message)) {
+        key = 'alreadyinuse';
+      }
+      else if (regExp.permissionDenied.test(message)) {
+        key = 'denied';
+      }
+      else {
+        key = 'error';
+      }
+    }
+
+    if (key === null) {
+      return null;
+    }
+
+    // Certificate problems, locked data directories, and bad values are
+    // reported as any other error or exception.
+    if (['error', 'exception', 'badvalue', 'denied'].indexOf(key) !== -1) {
+      if (Mongod.isTLSError(entry, message)) {
+        key = 'tls';
+      }
+      else if (regExp.dbpathLocked.test(message)) {
+        key = 'dbpathlocked';
+      }
+      else if (regExp.invalidOption.test(message)) {
+        key = 'badvalue';
+      }
+    }
+
+    const result = {
+      err: null,
+      key,
+      entry
+    };
+
+    // The numeric codes are deprecated in favor of the error classes.
+    switch (result.key) {
+      case 'waitingforconnections':
+        return result;
+
+      case 'alreadyinuse':
+        result.err = new MongodError.PortInUseError('Address already in use');
+        result.err.code = -1;
+
+        break;
+
+      case 'denied':
+        result.err = new MongodError.PermissionDeniedError('Permission denied');
+        result.err.code = -2;
+
+        break;
+
+      case 'tls':
+        result.err = new MongodError.TLSError(message);
+        result.err.code = -4;
+
+        break;
+
+      case 'dbpathlocked':
+        result.err = new MongodError.DbPathLockedError(message);
+        result.err.code = -3;
+
+        break;
+
+      case 'badvalue':
+        result.err = new MongodError.InvalidOptionError(
+          (regExp.optionName.exec(message) || [])[1] || null,
+          message
+        );
+        result.err.code = -3;
+
+        break;
+
+      case 'error':
+      case 'exception':
+      default:
+        result.err = new MongodError(message);
+        result.err.code = -3;
+
+        break;
+    }
+
+    result.err.entry = entry;
+
+    return result;
+  }
+
+  /**
+   * Build the command for the next process of a given {@link Mongod}, write
+   * its configuration file if it has one, and resolve its flags.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static prepareCommand(server) {
+    return new Promise((resolve, reject) => {
+      const config = Object.assign(Object.create(null), server.config, {
+        bin: server.bin,
+        dbpath: server.dbpath,
+        keyFile: server.keyFile,
+        port: server.port
+      });
+      const command = Mongod.buildCommand(config, server.version);
+      const flags = command.argv.slice(1);
+
+      if (command.conf === null) {
+        return resolve(flags);
+      }
+
+      const net = command.conf.settings.net || {};
+      const storage = command.conf.settings.storage || {};
+
+      server.port = net.port || 27017;
+      server.dbpath = storage.dbPath || null;
+
+      fs.writeFile(command.conf.path, command.conf.contents, (err) => {
+        if (err !== null) {
+          return reject(err);
+        }
+
+        server.confPath = command.conf.path;
+
+        resolve(flags);
+      });
+    });
+  }
+
+  /**
+   * Remove the configuration file written for the last process of a given
+   * {@link Mongod} after it stops.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static cleanConf(server) {
+    const confPath = server.confPath;
+
+    if (confPath === null) {
+      return Promise.resolve(null);
+    }
+
+    server.confPath = null;
+
+    return Mongod.rmrf(confPath);
+  }
+
+  /**
+   * Get the addresses of {@link Mongod~Config#bind_ip} of a given
+   * {@link Mongod~Config}, whether given as an array or a comma-separated
+   * string.
+   * @protected
+   * @argument {Mongod~Config} config
+   * @return {Array.<String>}
+   */
+  static getBindAddresses(config) {
+    return [].concat(config.bind_ip || [])
+      .join(',')
+      .split(',')
+      .map((address) => address.trim())
+      .filter((address) => address.length !== 0);
+  }
+
+  /**
+   * Get the host to connect to a given {@link Mongod} on; the first address
+   * of {@link Mongod~Config#bind_ip} unless it binds every interface.
+   * @protected
+   * @argument {Mongod} server
+   * @return {String}
+   */
+  static getHost(server) {
+    const host = Mongod.getBindAddresses(server.config)[0];
+
+    if (host == null || wildcardAddresses.indexOf(host) !== -1) {
+      return '127.0.0.1';
+    }
+
+    return host;
+  }
+
+  /**
+   * Get a loopback address a MongoDB server of a given {@link Mongod~Config}
+   * listens on, through which the localhost exception applies, or
+   * {@linkcode null} if {@link Mongod~Config#bind_ip} has none.
+   * @protected
+   * @argument {Mongod~Config} config
+   * @return {String}
+   */
+  static getLoopbackHost(config) {
+    const addresses = Mongod.getBindAddresses(config);
+
+    if (
+      addresses.length === 0 ||
+      addresses.some((address) => wildcardAddresses.indexOf(address) !== -1)
+    ) {
+      return '127.0.0.1';
+    }
+
+    return addresses.find((address) =>
+      regExp.loopbackAddress.test(address)) || null;
+  }
+
+  /**
+   * Get the directory a given {@link Mongod} makes its UNIX domain socket
+   * in; the value of {@linkcode --unixSocketPrefix} in
+   * {@link Mongod~Config#args} or {@linkcode /tmp}.
+   * @protected
+   * @argument {Mongod} server
+   * @return {String}
+   */
+  static getSocketPrefix(server) {
+    const args = server.config.args || [];
+    const prefix = Mongod.getArg(args, '--unixSocketPrefix');
+
+    return prefix !== null ? prefix : '/tmp';
+  }
+
+  /**
+   * Get the value of a given {@linkcode flag} in given command-line
+   * {@linkcode args}, either as the next argument or after an equals sign,
+   * or {@linkcode null} if it is not set.
+   * @protected
+   * @argument {Array.<String>} args
+   * @argument {String} flag
+   * @return {String}
+   */
+  static getArg(args, flag) {
+    const index = args.indexOf(flag);
+
+    if (index !== -1 && index + 1 < args.length) {
+      return args[index + 1];
+    }
+
+    for (let arg of args) {
+      if (arg.indexOf(`${flag}=`) === 0) {
+        return arg.slice(flag.length + 1);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the command that reports the role of a MongoDB server of a given
+   * {@link Mongod~Version}; {@linkcode hello}, or {@linkcode isMaster}
+   * before MongoDB 5.0.
+   * @protected
+   * @argument {Mongod~Version} [version]
+   * @return {Object}
+   */
+  static getHelloCommand(version) {
+    return version == null || Mongod.isVersionAtLeast(version, 5, 0) ?
+      { hello: 1 } :
+      { isMaster: 1 };
+  }
+
+  /**
+   * Resolve once a given {@link Mongod} replies to {@linkcode hello}, or
+   * {@linkcode isMaster} before MongoDB 5.0, retrying while it is opening.
+   * Servers older than MongoDB 3.6 do not support {@linkcode OP_MSG} and are
+   * not probed.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static probe(server) {
+    const version = server.version;
+    const host = Mongod.getHost(server);
+    const command = Mongod.getHelloCommand(version);
+
+    if (version != null && !Mongod.isVersionAtLeast(version, 3, 6)) {
+      return Promise.resolve(null);
+    }
+
+    /**
+     * Send {@linkcode command} and retry after {@linkcode probeInterval}
+     * milliseconds until the server replies.
+     * @argument {Object} tlsOptions
+     * @return {Promise}
+     */
+    const attempt = (tlsOptions) => {
+      if (!server.isOpening || server.process === null) {
+        return Promise.reject(
+          new MongodError('MongoDB server stopped before accepting commands')
+        );
+      }
+
+      return MongodClient.connect(server.port, host, probeTimeout, tlsOptions)
+        .then((client) => client.command('admin', command).then(
+          () => client.close(),
+          (err) => client.close().then(() => {
+            throw err;
+          })
+        ))
+        .catch(() => new Promise((resolve) =>
+          setTimeout(resolve, probeInterval)).then(() => attempt(tlsOptions)));
+    };
+
+    return Mongod.getClientTLSOptions(server)
+      .then(attempt)
+      .then(() => null);
+  }
+
+  /**
+   * Poll a file at a given {@linkcode file} path and pass data appended to it
+   * after this is called to a given {@linkcode listener}, starting over when
+   * the file is replaced (i.e. rotated by a MongoDB server as it starts).
+   * @protected
+   * @argument {String} file
+   * @argument {Function} listener
+   * @return {Function}
+   * A function that stops polling once the file has been read one last time.
+   */
+  static tail(file, listener) {
+    let ino = null;
+    let position = 0;
+    let timer = null;
+    let isPolling = false;
+    let isStopped = false;
+    let isFinalPollPending = false;
+
+    try {
+      const stats = fs.statSync(file);
+
+      ino = stats.ino;
+      position = stats.size;
+    }
+    catch (err) {
+      // The file does not exist yet.
+    }
+
+    /**
+     * Read the bytes of the file from {@linkcode position} up to a given
+     * {@linkcode size} and pass them to {@linkcode listener}.
+     * @argument {Number} size
+     * @return {Promise}
+     */
+    const read = (size) => new Promise((resolve) => {
+      fs.open(file, 'r', (err, fd) => {
+        if (err !== null) {
+          return resolve(null);
+        }
+
+        const buffer = Buffer.alloc(size - position);
+
+        fs.read(fd, buffer, 0, buffer.length, position, (err, bytesRead) => {
+          fs.close(fd, () => {
+            if (err === null && bytesRead > 0) {
+              position += bytesRead;
+
+              listener(buffer.slice(0, bytesRead));
+            }
+
+            resolve(null);
+          });
+        });
+      });
+    });
+
+    /**
+     * Check the file for new data and schedule the next check.
+     * @return {undefined}
+     */
+    const poll = () => {
+      isPolling = true;
+
+      fs.stat(file, (err, stats) => {
+        let promise = Promise.resolve(null);
+
+        if (err === null) {
+          if (stats.ino !== ino || stats.size < position) {
+            ino = stats.ino;
+            position = 0;
+          }
+
+          if (stats.size > position) {
+            promise = read(stats.size);
+          }
+        }
+
+        promise.then(() => {
+          isPolling = false;
+
+          if (!isStopped) {
+            timer = setTimeout(poll, tailInterval);
+          }
+          else if (isFinalPollPending) {
+            isFinalPollPending = false;
+
+            poll();
+          }
+        });
+      });
+    };
+
+    timer = setTimeout(poll, tailInterval);
+
+    return () => {
+      isStopped = true;
+
+      clearTimeout(timer);
+
+      if (isPolling) {
+        isFinalPollPending = true;
+      }
+      else {
+        poll();
+      }
+    };
+  }
+
+  /**
+   * Get the directory of the registry of running MongoDB server processes.
+   * @protected
+   * @return {String}
+   */
+  static getRegistryPath() {
+    return registryPath;
+  }
+
+  /**
+   * Determine if a process with a given {@linkcode pid} is running; not a
+   * zombie that has exited but not been waited for, where that can be told.
+   * @protected
+   * @argument {Number} pid
+   * @return {Boolean}
+   */
+  static isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+    }
+    catch (err) {
+      return err.code === 'EPERM';
+    }
+
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+
+      return stat[stat.lastIndexOf(')') + 2] !== 'Z';
+    }
+    catch (err) {
+      return true;
+    }
+  }
+
+  /**
+   * Synchronously send a given {@linkcode signal} to every tracked MongoDB
+   * server process.
+   * @protected
+   * @argument {String} signal
+   * @return {undefined}
+   */
+  static killChildren(signal) {
+    for (let pid of Object.keys(children)) {
+      try {
+        children[pid].process.kill(signal);
+      }
+      catch (err) {
+        // The process has already exited.
+      }
+    }
+  }
+
+  /**
+   * Set whether or not MongoDB server processes are killed as soon as this
+   * process is interrupted, terminated, or hung up on. When not, another
+   * listener for the signal is responsible for closing them, they are still
+   * killed when this process exits, and those started afterward are put in
+   * their own process group so a signal sent to that of a terminal does not
+   * reach them either.
+   * @protected
+   * @argument {Boolean} value
+   * @return {undefined}
+   */
+  static setKillOnSignal(value) {
+    killOnSignal = value;
+  }
+
+  /**
+   * Track the process of a given {@link Mongod} so it is killed when this
+   * process exits, is interrupted, or is terminated, and write its registry
+   * entry so that {@link Mongod.reap} may find it should this process not
+   * get the chance. Resolves once the entry is written.
+   * @protected
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static track(server) {
+    const child = server.process;
+
+    if (child.pid == null) {
+      return Promise.resolve(null);
+    }
+
+    if (exitListeners === null) {
+      exitListeners = Object.create(null);
+
+      for (let event of exitEvents) {
+        exitListeners[event] = () => {
+          const isDefault =
+            event !== 'exit' && process.listenerCount(event) === 1;
+
+          if (event === 'exit' || killOnSignal || isDefault) {
+            Mongod.killChildren('SIGTERM');
+          }
+
+          // Let the signal do what it would have without this listener.
+          if (isDefault) {
+            Mongod.untrackAll();
+            process.kill(process.pid, event);
+          }
+        };
+
+        process.on(event, exitListeners[event]);
+      }
+    }
+
+    const entry = {
+      pid: child.pid,
+      ppid: process.pid,
+      bin: server.bin,
+      port: server.port,
+      dbpath: server.dbpath,
+      isTemporaryDbpath: server.isTemporaryDbpath,
+      files: [server.confPath]
+        .concat(server.isTemporaryKeyFile ? server.keyFile : [])
+        .filter((file) => file !== null)
+    };
+
+    children[child.pid] = {
+      process: child,
+      registration: Mongod.mkdirp(registryPath)
+        .then(() => new Promise((resolve) => fs.writeFile(
+          path.join(registryPath, `${child.pid}.json`),
+          JSON.stringify(entry),
+          { mode: 0o600 },
+          // Without an entry the process is only killed when this one exits.
+          () => resolve(null)
+        )))
+        .catch(() => null)
+    };
+
+    return children[child.pid].registration;
+  }
+
+  /**
+   * Stop tracking the process with a given {@linkcode pid} once it has
+   * exited and remove its registry entry.
+   * @protected
+   * @argument {Number} pid
+   * @return {Promise}
+   */
+  static untrack(pid) {
+    const child = children[pid];
+
+    if (child == null) {
+      return Promise.resolve(null);
+    }
+
+    delete children[pid];
+
+    if (Object.keys(children).length === 0) {
+      Mongod.untrackAll();
+    }
+
+    return child.registration
+      .then(() => Mongod.rmrf(path.join(registryPath, `${pid}.json`)))
+      .catch(() => null);
+  }
+
+  /**
+   * Remove the listeners installed by {@link Mongod.track}.
+   * @protected
+   * @return {undefined}
+   */
+  static untrackAll() {
+    if (exitListeners === null) {
+      return;
+    }
+
+    for (let event of exitEvents) {
+      process.removeListener(event, exitListeners[event]);
+    }
+
+    exitListeners = null;
+  }
+
+  /**
+   * Resolve the PID in the {@linkcode mongod.lock} file of a given
+   * {@linkcode dbpath} or {@linkcode null} if it is missing or empty, as it
+   * is once a MongoDB server shuts down cleanly.
+   * @protected
+   * @argument {String} dbpath
+   * @return {Promise}
+   */
+  static readLockPid(dbpath) {
+    return new Promise((resolve) => {
+      fs.readFile(path.join(dbpath, 'mongod.lock'), 'utf8', (err, data) => {
+        const pid = err === null ? parseInt(data, 10) : NaN;
+
+        resolve(isNaN(pid) || pid <= 0 ? null : pid);
+      });
+    });
+  }
+
+  /**
+   * Send a given {@linkcode signal} to a process with a given {@linkcode pid}
+   * that is not a child of this one and resolve once it has exited, sending
+   * {@linkcode SIGKILL} if it has not after a given {@linkcode timeout}.
+   * Resolves whether or not {@linkcode SIGKILL} was sent.
+   * @protected
+   * @argument {Number} pid
+   * @argument {String} signal
+   * @argument {Number} timeout
+   * A number of milliseconds to wait; {@linkcode 0} to wait indefinitely.
+   * @return {Promise}
+   */
+  static terminate(pid, signal, timeout) {
+    const deadline = Date.now() + timeout;
+    let forced = signal === 'SIGKILL';
+
+    /**
+     * Check if the process has exited every {@linkcode reapInterval}
+     * milliseconds, sending {@linkcode SIGKILL} once past the deadline.
+     * @return {Promise}
+     */
+    const check = () => {
+      if (!Mongod.isAlive(pid)) {
+        return Promise.resolve(forced);
+      }
+
+      if (!forced && timeout > 0 && Date.now() >= deadline) {
+        forced = true;
+
+        try {
+          process.kill(pid, 'SIGKILL');
+        }
+        catch (err) {
+          return Promise.resolve(forced);
+        }
+      }
+
+      return new Promise((resolve) => setTimeout(resolve, reapInterval))
+        .then(check);
+    };
+
+    try {
+      process.kill(pid, signal);
+    }
+    catch (err) {
+      return err.code === 'ESRCH' ?
+        Promise.resolve(false) :
+        Promise.reject(err);
+    }
+
+    return check();
+  }
+
+  /**
+   * Kill the MongoDB server of a registry entry in a given {@linkcode file}
+   * if it was orphaned by a process that did not exit cleanly, which is
+   * confirmed by its PID in the {@linkcode mongod.lock} file of its dbpath,
+   * and remove the entry along with its temporary files once no MongoDB
+   * server holds them. Resolves the entry of a killed server or
+   * {@linkcode null}.
+   * @protected
+   * @argument {String} file
+   * @return {Promise}
+   */
+  static reapEntry(file) {
+    return new Promise((resolve) => fs.readFile(file, 'utf8', (err, data) => {
+      let entry = null;
+
+      try {
+        entry = err === null ? JSON.parse(data) : null;
+      }
+      catch (parseErr) {
+        // The entry is malformed and will be removed.
+      }
+
+      resolve(entry);
+    }))
+      .then((entry) => {
+        if (entry !== null && Mongod.isAlive(entry.ppid)) {
+          return null;
+        }
+
+        if (entry === null || entry.dbpath == null) {
+          return Mongod.rmrf(file).then(() => null);
+        }
+
+        return Mongod.readLockPid(entry.dbpath).then((pid) => {
+          const holder = pid !== null && Mongod.isAlive(pid) ? pid : null;
+          const isOrphaned = holder !== null && holder === entry.pid;
+          const files = (entry.files || [])
+            .concat(entry.isTemporaryDbpath ? entry.dbpath : []);
+
+          return (isOrphaned ?
+            Mongod.terminate(entry.pid, 'SIGTERM', reapTimeout) :
+            Promise.resolve())
+            .then(() => holder === null || isOrphaned ?
+              Promise.all(files.map((file) => Mongod.rmrf(file))) :
+              null)
+            .then(() => Mongod.rmrf(file))
+            .then(() => isOrphaned ? entry : null);
+        });
+      });
+  }
+
+  /**
+   * Kill MongoDB servers left running by processes that did not exit
+   * cleanly (i.e. were sent {@linkcode SIGKILL}) and remove their temporary
+   * files. Resolves the registry entries of the servers killed.
+   * @return {Promise}
+   */
+  static reap() {
+    return new Promise((resolve, reject) => {
+      fs.readdir(registryPath, (err, names) => {
+        if (err !== null) {
+          return err.code === 'ENOENT' ? resolve([]) : reject(err);
+        }
+
+        resolve(names);
+      });
+    })
+      .then((names) => Promise.all(names
+        .filter((name) => path.extname(name) === '.json')
+        .map((name) => Mongod.reapEntry(path.join(registryPath, name)))))
+      .then((entries) => entries.filter((entry) => entry !== null));
+  }
+
+  /**
+   * Resolve the command-line arguments of a process with a given
+   * {@linkcode pid}; read from {@linkcode /proc} where it exists and from
+   * {@linkcode ps}, which cannot tell spaces in arguments apart, otherwise.
+   * @protected
+   * @argument {Number} pid
+   * @return {Promise}
+   */
+  static getProcessArgs(pid) {
+    return new Promise((resolve) => {
+      fs.readFile(`/proc/${pid}/cmdline`, 'utf8', (err, data) => {
+        if (err === null) {
+          return resolve(data.split('\0').filter((arg) => arg.length > 0));
+        }
+
+        const args = ['-o', 'args=', '-p', String(pid)];
+
+        childprocess.execFile('ps', args, (err, stdout) => {
+          resolve(err === null ? stdout.trim().split(/\s+/) : []);
+        });
+      });
+    });
+  }
+
+  /**
+   * Resolve the port of a MongoDB server process with a given
+   * {@linkcode pid}; the value of {@linkcode --port} or {@linkcode net.port}
+   * in the file of {@linkcode --config} if either is set or
+   * {@linkcode 27017}.
+   * @protected
+   * @argument {Number} pid
+   * @return {Promise}
+   */
+  static getProcessPort(pid) {
+    return Mongod.getProcessArgs(pid).then((args) => {
+      const port = Mongod.getArg(args, '--port');
+      const conf = Mongod.getArg(args, '--config') || Mongod.getArg(args, '-f');
+
+      if (port !== null || conf === null) {
+        return port !== null ? Number(port) : 27017;
+      }
+
+      return new Promise((resolve) => fs.readFile(conf, 'utf8', (err, data) => {
+        let settings = null;
+
+        try {
+          settings = err === null ? jsyaml.safeLoad(data) : null;
+        }
+        catch (parseErr) {
+          // Fall back to the default port.
+        }
+
+        resolve(settings && settings.net && settings.net.port || 27017);
+      }));
+    });
+  }
+
+  /**
+   * Send the {@linkcode shutdown} command to the attached MongoDB server of
+   * a given {@link Mongod} and resolve once it stops accepting connections,
+   * or reject if it does not within a given {@linkcode timeout}. Resolves
+   * whether or not the shutdown was forced.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Boolean} force
+   * @argument {Number} timeout
+   * A number of milliseconds to wait; {@linkcode 0} to wait indefinitely.
+   * @return {Promise}
+   */
+  static requestShutdown(server, force, timeout) {
+    const deadline = Date.now() + timeout;
+    const host = Mongod.getHost(server);
+    const command = force ? { shutdown: 1, force: true } : { shutdown: 1 };
+
+    /**
+     * Connect to the server with given {@linkcode tlsOptions} and resolve a
+     * {@link MongodClient} or {@linkcode null} if it refuses.
+     * @argument {Object} tlsOptions
+     * @return {Promise}
+     */
+    const connect = (tlsOptions) =>
+      MongodClient.connect(server.port, host, probeTimeout, tlsOptions)
+        .catch(() => null);
+
+    /**
+     * Connect to the server every {@linkcode reapInterval} milliseconds
+     * until it refuses.
+     * @argument {Object} tlsOptions
+     * @return {Promise}
+     */
+    const check = (tlsOptions) => connect(tlsOptions).then((client) => {
+      if (client === null) {
+        return force;
+      }
+
+      if (timeout > 0 && Date.now() >= deadline) {
+        return client.close().then(() => {
+          throw new MongodError(
+            `MongoDB server did not stop within ${timeout}ms`
+          );
+        });
+      }
+
+      return client.close()
+        .then(() => new Promise((resolve) => setTimeout(resolve, reapInterval)))
+        .then(() => check(tlsOptions));
+    });
+
+    return Mongod.getClientTLSOptions(server).then((tlsOptions) =>
+      connect(tlsOptions)
+        .then((client) => client === null ? null : client
+          .command('admin', command)
+          .catch((err) => {
+            // The server drops the connection instead of replying.
+            if (
+              err instanceof MongodError.CommandError &&
+              shutdownCodeNames.indexOf(err.codeName) === -1
+            ) {
+              return client.close().then(() => {
+                throw err;
+              });
+            }
+
+            return client.close();
+          }))
+        .then(() => check(tlsOptions)));
+  }
+
+  /**
+   * Stop the attached MongoDB server of a given {@link Mongod} by sending a
+   * given {@linkcode signal} to its process, escalating to
+   * {@linkcode SIGKILL} after a given {@linkcode timeout}, or with the
+   * {@linkcode shutdown} command when its PID is not known.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} signal
+   * @argument {Number} timeout
+   * @return {Promise}
+   */
+  static closeAttached(server, signal, timeout) {
+    const promise = server.pid !== null ?
+      Mongod.terminate(server.pid, signal, timeout) :
+      Mongod.requestShutdown(server, signal === 'SIGKILL', timeout);
+
+    server.emit('closing');
+
+    return promise
+      .catch((err) => {
+        server.isClosing = false;
+
+        throw err;
+      })
+      .then((forced) => {
+        server.pid = null;
+        server.isAttached = false;
+        server.isRunning = false;
+        server.isClosing = false;
+
+        server.emit('exit', { code: null, signal: null, unexpected: false });
+        server.emit('close');
+
+        return { code: null, signal: null, forced };
+      });
+  }
+
+  /**
+   * Resolve a {@link Mongod} that manages a MongoDB server started by
+   * something else, given its PID, its port, or both, once it replies to a
+   * command. The server is running from the start and closing it stops the
+   * server as though it had been opened, with the same events. Opening it
+   * once closed starts a new process with the given options.
+   * @argument {Mongod~AttachOptions} options
+   * @return {Promise}
+   */
+  static attach(options) {
+    options = options || {};
+
+    const pid = options.pid != null ? Number(options.pid) : null;
+    const hasPort = options.port != null && !Mongod.isAutoPort(options.port);
+    let server = null;
+
+    if (pid !== null && !(pid > 0)) {
+      return Promise.reject(new MongodError.InvalidOptionError(
+        'pid',
+        'pid must be a positive number'
+      ));
+    }
+
+    if (pid === null && !hasPort) {
+      return Promise.reject(new MongodError.InvalidOptionError(
+        'pid',
+        'Expected the pid or port of a MongoDB server to attach to'
+      ));
+    }
+
+    if (pid !== null && !Mongod.isAlive(pid)) {
+      return Promise.reject(
+        new MongodError(`No process with PID ${pid} is running`)
+      );
+    }
+
+    try {
+      server = new Mongod(options);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    const portPromise = hasPort ?
+      Promise.resolve(options.port) :
+      Mongod.getProcessPort(pid);
+
+    return portPromise
+      .then((port) => {
+        server.config.port = port;
+        server.port = port;
+
+        return Mongod.getClientTLSOptions(server);
+      })
+      .then((tlsOptions) => MongodClient
+        .connect(server.port, Mongod.getHost(server), probeTimeout, tlsOptions)
+        .catch(() => {
+          throw new MongodError(
+            `No MongoDB server is accepting connections on port ${server.port}`
+          );
+        }))
+      .then((client) => client.command('admin', { buildInfo: 1 }).then(
+        (reply) => client.close().then(() => reply),
+        (err) => client.close().then(() => {
+          throw err;
+        })
+      ))
+      .then((reply) => {
+        server.version = Mongod.parseVersion(`version v${reply.version}`);
+        server.pid = pid;
+        server.isAttached = true;
+        server.isRunning = true;
+        server.openTime = Date.now();
+
+        return server;
+      });
+  }
+
+  /**
+   * Spawn a process for a given {@link Mongod} with given {@linkcode flags}
+   * and resolve once it is ready to service requests, and replies to a
+   * command when {@link Mongod~Config#probe} is set, or reject once it fails
+   * to start or does not start within a given {@linkcode timeout}.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Array.<String>} flags
+   * @argument {Number} [timeout]
+   * A number of milliseconds to wait; {@linkcode 0} to wait indefinitely.
+   * @return {Promise}
+   */
+  static spawn(server, flags, timeout) {
+    return new Promise((resolve, reject) => {
+      const output = [];
+      let exit = null;
+      let failed = false;
+      let settled = false;
+      let timedOut = false;
+      let timer = null;
+
+      /**
+       * Stop waiting for the current process to start, stop it with a given
+       * {@linkcode signal}, escalating to {@linkcode SIGKILL} after
+       * {@link Mongod~Config#shutdownTimeout}, and reject the current
+       * {@link Promise} with a given {@linkcode err} once it has closed and
+       * the data directory has been cleaned.
+       * @argument {Error} err
+       * @argument {String} [signal=SIGTERM]
+       * @return {undefined}
+       */
+      const fail = (err, signal) => {
+        /**
+         * Reject the current {@link Promise} with details of the process
+         * once the data directory has been cleaned.
+         * @return {undefined}
+         */
+        const settle = () => {
+          err.exitCode = exit !== null ? exit.code : null;
+          err.config = server.config;
+          err.output = output.slice(-outputTailLength);
+          err.logs = server.getLogs();
+
+          reject(err);
+        };
+
+        failed = true;
+
+        if (server.process === null) {
+          server.cleanPromise.then(settle, settle);
+
+          return;
+        }
+
+        const child = server.process;
+        const shutdownTimeout = server.config.shutdownTimeout;
+        let killTimer = null;
+
+        signal = signal || 'SIGTERM';
+        server.isClosing = true;
+
+        server.emit('closing');
+        child.once('close', () => {
+          clearTimeout(killTimer);
+          server.cleanPromise.then(settle, settle);
+        });
+
+        // A process that reported an error may keep running.
+        if (signal !== 'SIGKILL' && shutdownTimeout > 0) {
+          killTimer = setTimeout(() => child.kill('SIGKILL'), shutdownTimeout);
+        }
+
+        child.kill(signal);
+      };
+
+      /**
+       * Resolve the current {@link Promise} once the current process is ready
+       * to service requests unless it timed out.
+       * @return {undefined}
+       */
+      const open = () => {
+        if (timedOut) {
+          return;
+        }
+
+        clearTimeout(timer);
+
+        server.isOpening = false;
+        server.isRunning = true;
+        server.openTime = Date.now();
+
+        server.emit('open');
+        resolve(registration.then(() => null));
+      };
+
+      /**
+       * A listener for lines the current server process prints that
+       * resolves or rejects the current {@link Promise} when done.
+       * @see Mongod.parseData
+       * @argument {String} value
+       * @return {undefined}
+       */
+      const lineListener = (value) => {
+        if (settled) {
+          return;
+        }
+
+        output.push(value);
+
+        const result = Mongod.parseData(value);
+
+        if (result === null) {
+          return;
+        }
+
+        settled = true;
+
+        server.process.stderr.removeListener('data', dataListener);
+        server.process.stdout.removeListener('data', dataListener);
+
+        if (result.err !== null) {
+          clearTimeout(timer);
+
+          server.isOpening = false;
+
+          return fail(result.err);
+        }
+
+        const isBootstrapping =
+          Mongod.hasCredentials(server.config) &&
+          server.isFreshDbpath &&
+          server.config.replSet == null;
+
+        if (!server.config.probe && !isBootstrapping) {
+          return open();
+        }
+
+        Mongod.probe(server)
+          .then(() => isBootstrapping ? Mongod.createUser(server) : null)
+          .then(open, (err) => {
+            if (timedOut) {
+              return;
+            }
+
+            clearTimeout(timer);
+
+            server.isOpening = false;
+
+            fail(err);
+          });
+      };
+
+      /**
+       * A listener for the current server process' stdout/stderr that
+       * passes complete lines to {@linkcode lineListener}.
+       * @see Mongod.getTextLineAggregator
+       * @argument {Buffer} buffer
+       * @return {undefined}
+       */
+      const dataListener = Mongod.getTextLineAggregator(lineListener);
+
+      /**
+       * Get a text line aggregator that emits a given {@linkcode event}
+       * for the current server.
+       * @see Mongod.getTextLineAggregator
+       * @argument {String} event
+       * @return {Function}
+       */
+      const getDataPropagator = (event) =>
+        Mongod.getTextLineAggregator((line) => {
+          Mongod.recordLine(server, line);
+          server.emit(event, line);
+        });
+
+      /**
+       * Get a text line aggregator that emits a parsed
+       * {@link Mongod~LogEntry} for the current server.
+       * @see Mongod.getTextLineAggregator
+       * @see Mongod.parseLog
+       * @return {Function}
+       */
+      const getLogPropagator = () =>
+        Mongod.getTextLineAggregator((line) =>
+          server.emit('log', Mongod.parseLog(line)));
+
+      /**
+       * Stop reading {@link Mongod~Config#logpath} if it is being read.
+       * @return {undefined}
+       */
+      let stopTailing = () => null;
+
+      server.emit('opening');
+
+      if (server.config.logpath != null) {
+        const logFileListener = Mongod.getTextLineAggregator(lineListener);
+        const logPropagator = getLogPropagator();
+        const logRecorder = Mongod.getTextLineAggregator((line) =>
+          Mongod.recordLine(server, line));
+
+        stopTailing = Mongod.tail(server.config.logpath, (data) => {
+          logFileListener(data);
+          logPropagator(data);
+          logRecorder(data);
+        });
+      }
+
+      server.process = childprocess.spawn(server.bin, flags, {
+        detached: !killOnSignal
+      });
+
+      const pid = server.process.pid;
+      const registration = Mongod.track(server);
+
+      server.process.stderr.on('data', dataListener);
+      server.process.stderr.on('data', getDataPropagator('stdout'));
+      server.process.stderr.on('data', getLogPropagator());
+      server.process.stdout.on('data', dataListener);
+      server.process.stdout.on('data', getDataPropagator('stdout'));
+      server.process.stdout.on('data', getLogPropagator());
+
+      // The process could not be started (e.g. EACCES) or signaled.
+      server.process.on('error', (err) => {
+        if (settled) {
+          return;
+        }
+
+        clearTimeout(timer);
+
+        settled = true;
+        server.isOpening = false;
+
+        fail(err);
+      });
+      server.process.on('close', (code, signal) => {
+        const supervise = server.config.supervise;
+        const isPremature = !settled;
+
+        exit = {
+          code,
+          signal,
+          unexpected: server.isRunning && !server.isClosing
+        };
+
+        // The process exited before printing a terminal message.
+        if (isPremature) {
+          clearTimeout(timer);
+
+          settled = true;
+          failed = true;
+          server.isOpening = false;
+        }
+
+        if (exit.unexpected && supervise != null) {
+          if (Date.now() - server.openTime >= supervise.maxDelay) {
+            server.restarts = 0;
+          }
+
+          server.isRestarting = true;
+        }
+
+        server.process = null;
+        server.isRunning = false;
+        server.isClosing = false;
+        Mongod.setCleanPromise(server, Promise.all([
+          Mongod.cleanDbpath(server, failed),
+          Mongod.cleanConf(server),
+          Mongod.cleanKeyFile(server),
+          Mongod.untrack(pid)
+        ]));
+
+        stopTailing();
+        Mongod.closeLogFile(server);
+        server.emit('exit', exit);
+        server.emit('close');
+
+        if (server.isRestarting) {
+          Mongod.restart(server, exit);
+        }
+
+        if (isPremature) {
+          fail(new MongodError.UnexpectedExitError(code, signal));
+        }
+      });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          settled = true;
+          timedOut = true;
+          server.isOpening = false;
+
+          fail(new MongodError.StartupTimeoutError(timeout, output), 'SIGKILL');
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Set the {@link Promise} that removes the files of the last process of a
+   * given {@link Mongod} to a given {@linkcode promise}, keeping its error,
+   * if any, for the next {@link Mongod#close} rather than leaving it
+   * unhandled.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Promise} promise
+   * @return {undefined}
+   */
+  static setCleanPromise(server, promise) {
+    server.cleanPromise = promise;
+
+    promise.catch(() => null);
+  }
+
+  /**
+   * Restart a given supervised {@link Mongod} that exited unexpectedly after
+   * a delay that grows with each consecutive attempt, or give up and emit
+   * {@link Mongod#event:crash} with a given {@link Mongod~Exit} once
+   * {@link Mongod~SuperviseConfig#retries} are spent.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Mongod~Exit} exit
+   * @return {undefined}
+   */
+  static restart(server, exit) {
+    const supervise = server.config.supervise;
+
+    // The server was closed while waiting to restart.
+    if (!server.isRestarting) {
+      return;
+    }
+
+    if (server.restarts >= supervise.retries) {
+      server.isRestarting = false;
+      server.restarts = 0;
+      Mongod.setCleanPromise(server, Mongod.cleanDbpath(server, true));
+
+      server.emit('crash', exit);
+
+      return;
+    }
+
+    const delay = Math.min(
+      supervise.maxDelay,
+      supervise.delay * Math.pow(supervise.factor, server.restarts)
+    );
+
+    server.restarts += 1;
+    server.restartTimer = setTimeout(() => {
+      server.restartTimer = null;
+
+      Mongod.open(server).then(() => {
+        server.isRestarting = false;
+      }, () => Mongod.restart(server, exit));
+    }, delay);
+
+    server.emit('restart', { attempt: server.restarts, delay, exit });
+  }
+
+  /**
+   * Get the SCRAM mechanism to authenticate to a MongoDB server of a given
+   * {@link Mongod~Version} with; {@linkcode SCRAM-SHA-256}, or
+   * {@linkcode SCRAM-SHA-1} before MongoDB 4.0.
+   * @protected
+   * @argument {Mongod~Version} [version]
+   * @return {String}
+   */
+  static getScramMechanism(version) {
+    return version == null || Mongod.isVersionAtLeast(version, 4, 0) ?
+      'SCRAM-SHA-256' :
+      'SCRAM-SHA-1';
+  }
+
+  /**
+   * Connect to the running MongoDB server of a given {@link Mongod},
+   * authenticate with the credentials of {@link Mongod~Config#auth}, if
+   * any, pass the {@link MongodClient} to a given {@linkcode task}, and close
+   * it once the {@link Promise} the task returns settles.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Function} task
+   * @argument {Boolean} [anonymous=false]
+   * Whether to skip authenticating; for commands the localhost exception
+   * allows before a user exists.
+   * @return {Promise}
+   */
+  static withClient(server, task, anonymous) {
+    const auth = server.config.auth;
+
+    /**
+     * Authenticate a given {@linkcode client} unless it is anonymous or the
+     * server has no credentials.
+     * @argument {MongodClient} client
+     * @return {Promise}
+     */
+    const authenticate = (client) =>
+      anonymous === true || !Mongod.hasCredentials(server.config) ?
+        Promise.resolve(null) :
+        client.authenticate(
+          'admin',
+          auth.username,
+          auth.password,
+          Mongod.getScramMechanism(server.version)
+        );
+
+    return Mongod.getClientTLSOptions(server)
+      .then((tlsOptions) => MongodClient.connect(
+        server.port,
+        Mongod.getHost(server),
+        probeTimeout,
+        tlsOptions
+      ))
+      .then((client) => authenticate(client)
+        .then(() => task(client))
+        .then(
+          (result) => client.close().then(() => result),
+          (err) => client.close().then(() => {
+            throw err;
+          })
+        ));
+  }
+
+  /**
+   * Send a given {@linkcode command} to a given {@linkcode db} of the
+   * running MongoDB server of a given {@link Mongod} and resolve the reply.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} db
+   * @argument {Object} command
+   * @argument {Boolean} [anonymous=false]
+   * Whether to skip authenticating with {@link Mongod~Config#auth}.
+   * @return {Promise}
+   */
+  static command(server, db, command, anonymous) {
+    if (!server.isRunning) {
+      return Promise.reject(new MongodError('MongoDB server is not running'));
+    }
+
+    return Mongod.withClient(
+      server,
+      (client) => client.command(db, command),
+      anonymous
+    );
+  }
+
+  /**
+   * Delete every document of every collection of a given {@linkcode db}
+   * with a given {@link MongodClient}, keeping the collections and their
+   * indexes.
+   * @protected
+   * @argument {MongodClient} client
+   * @argument {String} db
+   * @return {Promise}
+   */
+  static clearDatabase(client, db) {
+    return client
+      .command(db, {
+        listCollections: 1,
+        filter: { type: 'collection' },
+        nameOnly: true,
+        cursor: { batchSize: listBatchSize }
+      })
+      .then((reply) => Promise.all(reply.cursor.firstBatch
+        .map((collection) => collection.name)
+        .filter((name) => name.indexOf('system.') !== 0)
+        .map((name) => client.command(db, {
+          delete: name,
+          deletes: [{ q: {}, limit: 0 }]
+        }))));
+  }
+
+  /**
+   * Drop, or clear, every database of the running MongoDB server of a
+   * given {@link Mongod} but {@linkcode admin}, {@linkcode config},
+   * {@linkcode local}, and those in {@link Mongod~ResetOptions#keep}.
+   * Resolves the names of the databases reset.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Mongod~ResetOptions} [options]
+   * @return {Promise}
+   */
+  static reset(server, options) {
+    options = options || {};
+
+    const keep = systemDatabases.concat(options.keep || []);
+    const mode = options.mode || 'drop';
+
+    if (resetModes.indexOf(mode) === -1) {
+      return Promise.reject(new MongodError(
+        `Reset mode must be one of ${resetModes.join(', ')}`
+      ));
+    }
+
+    if (!server.isRunning) {
+      return Promise.reject(new MongodError('MongoDB server is not running'));
+    }
+
+    return Mongod.withClient(server, (client) => client
+      .command('admin', { listDatabases: 1, nameOnly: true })
+      .then((reply) => {
+        const names = (reply.databases || [])
+          .map((database) => database.name)
+          .filter((name) => keep.indexOf(name) === -1);
+
+        return Promise.all(names.map((name) => mode === 'clear' ?
+          Mongod.clearDatabase(client, name) :
+          client.command(name, { dropDatabase: 1 })))
+          .then(() => names);
+      }));
+  }
+
+  /**
+   * Block writes to the running MongoDB server of a given {@link Mongod}
+   * with {@linkcode fsyncLock} while a given {@linkcode task} runs.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {Function} task
+   * A function that returns a {@link Promise}.
+   * @return {Promise}
+   */
+  static withFsyncLock(server, task) {
+    return Mongod.withClient(server, (client) => client
+      .command('admin', { fsync: 1, lock: true })
+      .then(() => task().then(
+        (result) => client.command('admin', { fsyncUnlock: 1 })
+          .then(() => result),
+        (err) => client.command('admin', { fsyncUnlock: 1 }).then(() => {
+          throw err;
+        })
+      )));
+  }
+
+  /**
+   * Copy the dbpath of a given {@link Mongod} to the snapshot with a given
+   * {@linkcode name}, replacing any with the same name, once it is stopped
+   * or while writes are blocked if it is running.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} name
+   * @return {Promise}
+   */
+  static snapshot(server, name) {
+    let target = null;
+
+    try {
+      target = Mongod.getSnapshotPath(server, name);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    return server.promiseQueue.add(() => {
+      const dbpath = server.dbpath || server.config.dbpath;
+      const temp = path.join(
+        path.dirname(target),
+        `.${name}-${crypto.randomBytes(8).toString('hex')}`
+      );
+
+      if (dbpath == null) {
+        return Promise.reject(
+          new MongodError('MongoDB server has no dbpath to snapshot')
+        );
+      }
+
+      /**
+       * Copy the dbpath beside the snapshot and swap it in.
+       * @return {Promise}
+       */
+      const copy = () => Mongod.mkdirp(path.dirname(target))
+        .then(() => Mongod.copy(dbpath, temp, snapshotExclusions))
+        .then(() => Mongod.rmrf(target))
+        .then(() => new Promise((resolve, reject) => fs.rename(
+          temp,
+          target,
+          (err) => err === null ? resolve(null) : reject(err)
+        )))
+        .catch((err) => Mongod.rmrf(temp).then(() => {
+          throw err;
+        }));
+
+      return server.isRunning ? Mongod.withFsyncLock(server, copy) : copy();
+    });
+  }
+
+  /**
+   * Put the snapshot with a given {@linkcode name} in place of the dbpath
+   * of a given {@link Mongod} the next time it opens, restarting it if it is
+   * running.
+   * @protected
+   * @argument {Mongod} server
+   * @argument {String} name
+   * @return {Promise}
+   */
+  static restore(server, name) {
+    let source = null;
+
+    try {
+      source = Mongod.getSnapshotPath(server, name);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
 
-        break;
+    return new Promise((resolve, reject) => fs.stat(source, (err, stats) => {
+      if (err !== null || !stats.isDirectory()) {
+        return reject(new MongodError(`No snapshot named ${name}`));
+      }
 
-      case 'error':
-      case 'exception':
-      case 'badvalue':
-        result.err = new Error(string.trim());
-        result.err.code = -3;
+      resolve(null);
+    }))
+      .then(() => {
+        server.restoreName = name;
 
-        break;
-    }
+        if (!server.isRunning && !server.isOpening) {
+          return null;
+        }
 
-    return result;
+        return Mongod.close(server).then(() => Mongod.open(server));
+      });
   }
 
   /**
    * Start a given {@link Mongod}.
    * @protected
    * @argument {Mongod} server
+   * @argument {Mongod~OpenOptions} [options]
    * @return {Promise}
    */
-  static open(server) {
+  static open(server, options) {
     if (server.isOpening) {
       return server.openPromise;
     }
 
+    options = options || {};
     server.isOpening = true;
     server.isClosing = false;
     server.openPromise = server.promiseQueue.add(() => {
@@ -251,79 +4026,59 @@ class Mongod extends events.EventEmitter {
         return Promise.resolve(null);
       }
 
-      return new Promise((resolve, reject) => {
-        /**
-         * A listener for the current server process' stdout/stderr that
-         * resolves or rejects the current {@link Promise} when done.
-         * @see Mongod.getTextLineAggregator
-         * @see Mongod.parseData
-         * @argument {Buffer} buffer
-         * @return {undefined}
-         */
-        const dataListener = Mongod.getTextLineAggregator((value) => {
-          const result = Mongod.parseData(value);
-
-          if (result === null) {
-            return;
-          }
-
-          server.process.stdout.removeListener('data', dataListener);
-
-          server.isOpening = false;
-
-          if (result.err === null) {
-            server.isRunning = true;
-
-            server.emit('open');
-            resolve(null);
-          }
-          else {
-            server.isClosing = true;
+      const timeout = options.timeout != null ?
+        options.timeout :
+        server.config.startupTimeout;
 
-            server.emit('closing');
-            server.process.once('close', () => reject(result.err));
-          }
-        });
+      /**
+       * Attempt to start the server, retrying on a new port as long as an
+       * automatically allocated one is in use.
+       * @argument {Number} retries
+       * @return {Promise}
+       */
+      const attempt = (retries) =>
+        Mongod.prepareBin(server)
+          .then(() => Mongod.prepareVersion(server))
+          .then(() => Mongod.prepareTLS(server))
+          .then(() => Mongod.prepareDbpath(server))
+          .then(() => Mongod.prepareSnapshot(server))
+          .then(() => Mongod.prepareKeyFile(server))
+          .then(() => Mongod.prepareLogFile(server))
+          .then(() => Mongod.preparePort(server))
+          .then(() => Mongod.prepareCommand(server))
+          .then(
+            (flags) => Mongod.spawn(server, flags, timeout),
+            (err) => {
+              server.isOpening = false;
 
-        /**
-         * A listener to close the server when the current process exits.
-         * @return {undefined}
-         */
-        const exitListener = () => {
-          // istanbul ignore next
-          server.close();
-        };
+              Mongod.closeLogFile(server);
 
-        /**
-         * Get a text line aggregator that emits a given {@linkcode event}
-         * for the current server.
-         * @see Mongod.getTextLineAggregator
-         * @argument {String} event
-         * @return {Function}
-         */
-        const getDataPropagator = (event) =>
-          Mongod.getTextLineAggregator((line) => server.emit(event, line));
+              return Promise.all([
+                Mongod.cleanDbpath(server, true),
+                Mongod.cleanKeyFile(server)
+              ]).then(() => {
+                throw err;
+              });
+            }
+          )
+          .catch((err) => {
+            if (
+              !(err instanceof MongodError.PortInUseError) ||
+              retries === 0 ||
+              !Mongod.isAutoPort(server.config.port)
+            ) {
+              throw err;
+            }
 
-        server.emit('opening');
+            server.isOpening = true;
 
-        server.process = childprocess.spawn(
-          server.config.bin,
-          Mongod.parseFlags(server.config)
-        );
+            return attempt(retries - 1);
+          });
 
-        server.process.stderr.on('data', dataListener);
-        server.process.stderr.on('data', getDataPropagator('stdout'));
-        server.process.stdout.on('data', dataListener);
-        server.process.stdout.on('data', getDataPropagator('stdout'));
-        server.process.on('close', () => {
-          server.process = null;
-          server.isRunning = false;
-          server.isClosing = false;
+      return attempt(portRetryLimit).then(() => {
+        server.restoreName = null;
 
-          process.removeListener('exit', exitListener);
-          server.emit('close');
-        });
-        process.on('exit', exitListener);
+        return null;
       });
     });
 
@@ -331,29 +4086,95 @@ class Mongod extends events.EventEmitter {
   }
 
   /**
-   * Stop a given {@link Mongod}.
+   * Stop a given {@link Mongod} by sending a signal to its process and
+   * escalating to {@linkcode SIGKILL} if it does not exit in time.
    * @protected
    * @argument {Mongod} server
+   * @argument {Mongod~CloseOptions} [options]
    * @return {Promise}
    */
-  static close(server) {
+  static close(server, options) {
     if (server.isClosing) {
       return server.closePromise;
     }
 
+    const wasRestarting = server.isRestarting;
+
+    options = options || {};
     server.isClosing = true;
     server.isOpening = false;
+    server.isRestarting = false;
+
+    clearTimeout(server.restartTimer);
+
+    server.restartTimer = null;
     server.closePromise = server.promiseQueue.add(() => {
       if (server.isOpening || !server.isRunning) {
+        const cleanPromise = server.cleanPromise;
+
         server.isClosing = false;
+        server.cleanPromise = Promise.resolve(null);
 
-        return Promise.resolve(null);
+        // Report a failed cleanup after the last process exited by itself
+        // and remove the data kept for a restart that will not happen.
+        return cleanPromise
+          .then(() => wasRestarting ? Mongod.cleanDbpath(server, false) : null)
+          .then(() => null);
+      }
+
+      const child = server.process;
+      const signal = options.force ? 'SIGKILL' : options.signal || 'SIGTERM';
+      const timeout = options.timeout != null ?
+        options.timeout :
+        server.config.shutdownTimeout;
+
+      if (server.isAttached) {
+        return Mongod.closeAttached(server, signal, timeout);
+      }
+
+      let forced = signal === 'SIGKILL';
+      let timer = null;
+
+      if (!forced && timeout > 0) {
+        timer = setTimeout(() => {
+          forced = true;
+
+          child.kill('SIGKILL');
+        }, timeout);
       }
 
-      return new Promise((resolve) => {
+      return new Promise((resolve, reject) => {
+        /**
+         * Reject the current {@link Promise} when the process cannot be
+         * signaled.
+         * @argument {Error} err
+         * @return {undefined}
+         */
+        const errorListener = (err) => {
+          clearTimeout(timer);
+
+          server.isClosing = false;
+
+          child.removeListener('close', closeListener);
+          reject(err);
+        };
+
+        /**
+         * Resolve how the process exited once it has closed.
+         * @argument {Number} code
+         * @argument {String} signal
+         * @return {undefined}
+         */
+        const closeListener = (code, signal) => {
+          clearTimeout(timer);
+          child.removeListener('error', errorListener);
+          resolve(server.cleanPromise.then(() => ({ code, signal, forced })));
+        };
+
         server.emit('closing');
-        server.process.once('close', () => resolve(null));
-        server.process.kill();
+        child.once('error', errorListener);
+        child.once('close', closeListener);
+        child.kill(signal);
       });
     });
 
@@ -378,8 +4199,32 @@ class Mongod extends events.EventEmitter {
       conf: null,
       port: 27017,
       dbpath: null,
+      keepdbpath: false,
+      snapshotpath: null,
+      startupTimeout: 60000,
+      shutdownTimeout: 10000,
       storageEngine: null,
-      nojournal: false
+      nojournal: false,
+      replSet: null,
+      shardsvr: false,
+      configsvr: false,
+      configdb: null,
+      bind_ip: null,
+      auth: false,
+      oplogSize: null,
+      wiredTigerCacheSizeGB: null,
+      setParameter: null,
+      verbose: false,
+      slowms: null,
+      quiet: false,
+      logpath: null,
+      logBufferSize: 1000,
+      logFile: null,
+      keyFile: null,
+      tls: null,
+      args: null,
+      probe: false,
+      supervise: null
     });
 
     /**
@@ -389,6 +4234,162 @@ class Mongod extends events.EventEmitter {
      */
     this.process = null;
 
+    /**
+     * The binary of the current or last process; either
+     * {@link Mongod~Config#bin} or one downloaded by {@link MongodBinary}.
+     * @readonly
+     * @type {String}
+     */
+    this.bin = typeof this.config.bin === 'object' ? null : this.config.bin;
+
+    /**
+     * The version of {@link Mongod#bin}; detected before a process starts.
+     * @readonly
+     * @type {Mongod~Version}
+     */
+    this.version = null;
+
+    /**
+     * The port of the current or last process; either
+     * {@link Mongod~Config#port} or one allocated automatically.
+     * @readonly
+     * @type {(Number|String)}
+     */
+    this.port = Mongod.isAutoPort(this.config.port) ? null : this.config.port;
+
+    /**
+     * The data directory of the current or last process; either
+     * {@link Mongod~Config#dbpath} or a temporary directory.
+     * @readonly
+     * @type {String}
+     */
+    this.dbpath = null;
+
+    /**
+     * The path of the configuration file written for the current process.
+     * @protected
+     * @type {String}
+     */
+    this.confPath = null;
+
+    /**
+     * The key file of the current or last process; either
+     * {@link Mongod~Config#keyFile} or a temporary one.
+     * @readonly
+     * @type {String}
+     */
+    this.keyFile = null;
+
+    /**
+     * Determine if {@link Mongod#keyFile} was written for the current or last
+     * process and should be removed when it stops.
+     * @protected
+     * @type {Boolean}
+     */
+    this.isTemporaryKeyFile = false;
+
+    /**
+     * Determine if {@link Mongod#dbpath} was empty before the current or last
+     * process started.
+     * @protected
+     * @type {Boolean}
+     */
+    this.isFreshDbpath = false;
+
+    /**
+     * Determine if {@link Mongod#dbpath} was made for the current or last
+     * process and should be removed when it stops.
+     * @protected
+     * @type {Boolean}
+     */
+    this.isTemporaryDbpath = false;
+
+    /**
+     * The PID of an attached MongoDB server, if known.
+     * @see Mongod.attach
+     * @readonly
+     * @type {Number}
+     */
+    this.pid = null;
+
+    /**
+     * Determine if the instance manages a MongoDB server it did not start.
+     * @see Mongod.attach
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isAttached = false;
+
+    /**
+     * The name of the snapshot to restore the next time a process starts.
+     * @see Mongod.restore
+     * @protected
+     * @type {String}
+     */
+    this.restoreName = null;
+
+    /**
+     * Recent lines of output of the current and previous processes, oldest
+     * first, up to {@link Mongod~Config#logBufferSize}.
+     * @see Mongod#getLogs
+     * @protected
+     * @type {Array.<String>}
+     */
+    this.logs = [];
+
+    /**
+     * The file descriptor of {@link Mongod~Config#logFile} while it is open.
+     * @protected
+     * @type {Number}
+     */
+    this.logFileDescriptor = null;
+
+    /**
+     * The number of bytes in {@link Mongod~Config#logFile}.
+     * @protected
+     * @type {Number}
+     */
+    this.logFileSize = 0;
+
+    /**
+     * The time at which the current or last process became ready to service
+     * requests.
+     * @protected
+     * @type {Number}
+     */
+    this.openTime = null;
+
+    /**
+     * The number of consecutive restarts attempted for processes that exited
+     * unexpectedly.
+     * @readonly
+     * @type {Number}
+     */
+    this.restarts = 0;
+
+    /**
+     * Determine if the instance is restarting a process that exited
+     * unexpectedly.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isRestarting = false;
+
+    /**
+     * A timer for the next restart.
+     * @protected
+     * @type {Timer}
+     */
+    this.restartTimer = null;
+
+    /**
+     * The last {@link Promise} of {@link Mongod.cleanDbpath} and
+     * {@link Mongod.cleanConf} after a process stopped.
+     * @protected
+     * @type {Promise}
+     */
+    this.cleanPromise = Promise.resolve(null);
+
     /**
      * The last {@link Promise} returned by {@link Mongod#open}.
      * @protected
@@ -438,13 +4439,213 @@ class Mongod extends events.EventEmitter {
     this.isOpening = false;
   }
 
+  /**
+   * A connection string for the current or last process.
+   * @see Mongod#getConnectionString
+   * @type {String}
+   */
+  get uri() {
+    return this.getConnectionString();
+  }
+
+  /**
+   * Get a connection string for the current or last process or
+   * {@linkcode null} if its port is not yet known.
+   * @argument {Mongod~ConnectionStringOptions} [options]
+   * @return {String}
+   */
+  getConnectionString(options) {
+    options = Object.assign(
+      {},
+      Mongod.hasCredentials(this.config) ? this.config.auth : null,
+      options
+    );
+
+    if (this.port == null) {
+      return null;
+    }
+
+    const params = [];
+    const replicaSet = options.replicaSet !== undefined ?
+      options.replicaSet :
+      this.config.replSet;
+    let host = Mongod.getHost(this);
+    let credentials = '';
+
+    if (options.socket) {
+      host = encodeURIComponent(
+        path.join(Mongod.getSocketPrefix(this), `mongodb-${this.port}.sock`)
+      );
+    }
+    else if (host.indexOf(':') !== -1) {
+      host = `[${host}]:${this.port}`;
+    }
+    else {
+      host = `${host}:${this.port}`;
+    }
+
+    if (options.username != null) {
+      credentials = encodeURIComponent(options.username);
+
+      if (options.password != null) {
+        credentials += `:${encodeURIComponent(options.password)}`;
+      }
+
+      credentials += '@';
+
+      params.push(
+        `authSource=${encodeURIComponent(options.authSource || 'admin')}`
+      );
+    }
+
+    if (replicaSet) {
+      params.push(`replicaSet=${encodeURIComponent(replicaSet)}`);
+    }
+
+    if (options.directConnection != null) {
+      params.push(`directConnection=${Boolean(options.directConnection)}`);
+    }
+
+    const tls = this.config.tls || {};
+
+    if (options.tls === undefined) {
+      options.tls = tls.mode === 'requireTLS';
+    }
+
+    if (options.tls) {
+      params.push('tls=true');
+
+      if (tls.CAFile != null) {
+        const keyFile = encodeURIComponent(tls.certificateKeyFile);
+
+        params.push(
+          `tlsCAFile=${encodeURIComponent(tls.CAFile)}`,
+          `tlsCertificateKeyFile=${keyFile}`
+        );
+      }
+    }
+
+    const db = encodeURIComponent(options.db || '');
+    const query = params.length === 0 ? '' : `?${params.join('&')}`;
+
+    return `mongodb://${credentials}${host}/${db}${query}`;
+  }
+
   /**
    * Open the server.
+   * @argument {Mongod~OpenOptions} [options]
+   * @argument {Mongod~callback} [callback]
+   * @return {Promise}
+   */
+  open(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = Mongod.open(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close the server. Resolves a {@link Mongod~ExitResult} once it has
+   * closed or {@linkcode null} if it was not running.
+   * @argument {Mongod~CloseOptions} [options]
+   * @argument {Mongod~callback} [callback]
+   * @return {Promise}
+   */
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = Mongod.close(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Send a command to a database of the running server and resolve the
+   * reply; rejects a {@link CommandError} if it is not ok.
+   * @argument {String} db
+   * @argument {Object} command
+   * @argument {Mongod~callback} [callback]
+   * @return {Promise}
+   */
+  command(db, command, callback) {
+    const promise = Mongod.command(this, db, command);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Drop every database of the running server but the system databases and
+   * given ones, or clear their collections. Resolves the names of the
+   * databases reset.
+   * @argument {Mongod~ResetOptions} [options]
+   * @argument {Mongod~callback} [callback]
+   * @return {Promise}
+   */
+  reset(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = Mongod.reset(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Get the most recent lines of output, oldest first; all of those kept
+   * if a {@linkcode count} is omitted.
+   * @argument {Number} [count]
+   * @return {Array.<String>}
+   */
+  getLogs(count) {
+    if (count == null) {
+      return this.logs.slice();
+    }
+
+    return count > 0 ? this.logs.slice(-count) : [];
+  }
+
+  /**
+   * Copy the dbpath of the server to a snapshot with a given
+   * {@linkcode name}; while writes are blocked if it is running.
+   * @argument {String} name
    * @argument {Mongod~callback} [callback]
    * @return {Promise}
    */
-  open(callback) {
-    const promise = Mongod.open(this);
+  snapshot(name, callback) {
+    const promise = Mongod.snapshot(this, name);
 
     if (typeof callback === 'function') {
       return promise
@@ -456,12 +4657,14 @@ class Mongod extends events.EventEmitter {
   }
 
   /**
-   * Close the server.
+   * Put the snapshot with a given {@linkcode name} in place of the dbpath of
+   * the server the next time it opens; restarting it if it is running.
+   * @argument {String} name
    * @argument {Mongod~callback} [callback]
    * @return {Promise}
    */
-  close(callback) {
-    const promise = Mongod.close(this);
+  restore(name, callback) {
+    const promise = Mongod.restore(this, name);
 
     if (typeof callback === 'function') {
       return promise
@@ -473,4 +4676,15 @@ class Mongod extends events.EventEmitter {
   }
 }
 
+Mongod.MongodError = MongodError;
+Mongod.UnsupportedOptionError = MongodError.UnsupportedOptionError;
+Mongod.InvalidOptionError = MongodError.InvalidOptionError;
+Mongod.StartupTimeoutError = MongodError.StartupTimeoutError;
+Mongod.CommandError = MongodError.CommandError;
+Mongod.PortInUseError = MongodError.PortInUseError;
+Mongod.PermissionDeniedError = MongodError.PermissionDeniedError;
+Mongod.DbPathLockedError = MongodError.DbPathLockedError;
+Mongod.TLSError = MongodError.TLSError;
+Mongod.UnexpectedExitError = MongodError.UnexpectedExitError;
+
 module.exports = exports = Mongod;
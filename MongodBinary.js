@@ -0,0 +1,831 @@
+'use strict';
+
+/**
+ * Configuration options for {@link MongodBinary}.
+ * @typedef {Object} MongodBinary~Config
+ * @property {String} version
+ * @property {String} [binary=mongod]
+ * @property {String} [mirror=https://fastdl.mongodb.org]
+ * @property {String} [cache=~/.cache/mongod]
+ * @property {String} [platform]
+ * @property {String} [arch]
+ * @property {String} [distro]
+ * @property {(Boolean|String)} [checksum=true]
+ */
+
+/**
+ * A lock held by this process.
+ * @typedef {Object} MongodBinary~Lock
+ * @property {String} file
+ * @property {String} token
+ * A random value written to the file that identifies the holder.
+ * @property {Object} timer
+ * The interval that refreshes the modification time of the file.
+ */
+
+/**
+ * Invoked when an operation (i.e. {@link MongodBinary#getPath}) completes.
+ * @callback MongodBinary~callback
+ * @argument {Error} err
+ * @argument {String} path
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const zlib = require('zlib');
+const Mongod = require('./Mongod');
+
+/**
+ * The number of redirects to follow when downloading an archive.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const redirectLimit = 5;
+
+/**
+ * The number of milliseconds to wait between attempts to acquire a lock.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const lockInterval = 250;
+
+/**
+ * The number of milliseconds after which a lock is considered abandoned.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const lockStaleTime = 10 * 60 * 1000;
+
+/**
+ * The number of milliseconds between refreshes of the modification time of
+ * a held lock so that it does not become stale.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const lockRefreshInterval = 30 * 1000;
+
+/**
+ * Pending downloads keyed by the path of the directory they extract into.
+ * @private
+ * @type {Object.<String,Promise>}
+ */
+const downloads = Object.create(null);
+
+/**
+ * Download, verify, extract, and cache MongoDB binaries by version.
+ * @class
+ */
+class MongodBinary {
+
+  /**
+   * Populate a given {@link MongodBinary~Config} with values from a
+   * given {@link MongodBinary~Config}.
+   * @protected
+   * @argument {(String|MongodBinary~Config)} source
+   * @argument {MongodBinary~Config} target
+   * @return {MongodBinary~Config}
+   */
+  static parseConfig(source, target) {
+    if (target == null) {
+      target = Object.create(null);
+    }
+
+    if (typeof source === 'string') {
+      target.version = source;
+
+      return target;
+    }
+
+    if (source == null || typeof source !== 'object') {
+      return target;
+    }
+
+    for (let key of Object.keys(target)) {
+      if (source[key] != null) {
+        target[key] = source[key];
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Get a distribution name as used in MongoDB archive names (i.e.
+   * {@linkcode ubuntu2004}) from the contents of {@linkcode /etc/os-release}.
+   * @protected
+   * @argument {String} osRelease
+   * @return {String}
+   */
+  static parseDistro(osRelease) {
+    const values = Object.create(null);
+
+    for (let line of String(osRelease).split(/\r?\n/)) {
+      const matches = /^([A-Z_]+)=["']?([^"']*)["']?$/.exec(line.trim());
+
+      if (matches !== null) {
+        values[matches[1]] = matches[2];
+      }
+    }
+
+    const id = values.ID;
+    const version = values.VERSION_ID || '';
+
+    switch (id) {
+      case 'ubuntu':
+        return `ubuntu${version.replace('.', '')}`;
+
+      case 'debian':
+        return `debian${version.split('.')[0]}`;
+
+      case 'rhel':
+      case 'centos':
+      case 'rocky':
+      case 'almalinux':
+        return `rhel${version.split('.')[0]}0`;
+
+      case 'amzn':
+        return `amazon${version.split('.')[0]}`;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the platform, architecture, and distribution MongoDB archives are
+   * named by for a given {@link MongodBinary~Config}, defaulting to those of
+   * the current machine.
+   * @protected
+   * @argument {MongodBinary~Config} config
+   * @return {Object}
+   */
+  static getTarget(config) {
+    const platform = config.platform || os.platform();
+    const arch = config.arch || {
+      x64: 'x86_64',
+      arm64: platform === 'darwin' ? 'arm64' : 'aarch64'
+    }[os.arch()] || os.arch();
+    let distro = config.distro;
+
+    if (distro == null && platform === 'linux') {
+      try {
+        distro = MongodBinary.parseDistro(
+          fs.readFileSync('/etc/os-release', 'utf8')
+        );
+      }
+      catch (err) {
+        distro = null;
+      }
+    }
+
+    return { platform, arch, distro };
+  }
+
+  /**
+   * Get the name of the MongoDB archive for a given
+   * {@link MongodBinary~Config}.
+   * @protected
+   * @argument {MongodBinary~Config} config
+   * @return {String}
+   */
+  static getArchiveName(config) {
+    const target = MongodBinary.getTarget(config);
+    const version = config.version.split('.').map(Number);
+
+    switch (target.platform) {
+      case 'linux':
+        return target.distro == null ?
+          `mongodb-linux-${target.arch}-${config.version}.tgz` :
+          `mongodb-linux-${target.arch}-${target.distro}-${config.version}.tgz`;
+
+      case 'darwin':
+        return version[0] < 4 || (version[0] === 4 && version[1] < 2) ?
+          `mongodb-osx-ssl-${target.arch}-${config.version}.tgz` :
+          `mongodb-macos-${target.arch}-${config.version}.tgz`;
+
+      default:
+        throw new Error(`Unsupported platform: ${target.platform}`);
+    }
+  }
+
+  /**
+   * Get the URL of the MongoDB archive for a given
+   * {@link MongodBinary~Config}.
+   * @protected
+   * @argument {MongodBinary~Config} config
+   * @return {String}
+   */
+  static getDownloadUrl(config) {
+    const platform = MongodBinary.getTarget(config).platform;
+    const dir = platform === 'darwin' ? 'osx' : platform;
+    const mirror = config.mirror.replace(/\/+$/, '');
+
+    return `${mirror}/${dir}/${MongodBinary.getArchiveName(config)}`;
+  }
+
+  /**
+   * Issue a GET request for a given {@linkcode location}, following
+   * redirects, and resolve the response.
+   * @protected
+   * @argument {String} location
+   * @argument {Number} [redirects=0]
+   * @return {Promise}
+   */
+  static request(location, redirects) {
+    redirects = redirects || 0;
+
+    return new Promise((resolve, reject) => {
+      const client = url.parse(location).protocol === 'https:' ? https : http;
+
+      client.get(location, (res) => {
+        if (
+          res.statusCode >= 300 &&
+          res.statusCode < 400 &&
+          res.headers.location != null
+        ) {
+          res.resume();
+
+          if (redirects >= redirectLimit) {
+            return reject(new Error(`Too many redirects: ${location}`));
+          }
+
+          return resolve(MongodBinary.request(
+            url.resolve(location, res.headers.location),
+            redirects + 1
+          ));
+        }
+
+        if (res.statusCode !== 200) {
+          res.resume();
+
+          return reject(
+            new Error(`Failed to download ${location}: ${res.statusCode}`)
+          );
+        }
+
+        resolve(res);
+      }).on('error', reject);
+    });
+  }
+
+  /**
+   * Download a given {@linkcode location} to a given {@linkcode file} and
+   * resolve its SHA-256 digest.
+   * @protected
+   * @argument {String} location
+   * @argument {String} file
+   * @return {Promise}
+   */
+  static download(location, file) {
+    return MongodBinary.request(location).then((res) =>
+      new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const stream = fs.createWriteStream(file);
+
+        res.on('data', (chunk) => hash.update(chunk));
+        res.on('error', reject);
+        stream.on('error', reject);
+        stream.on('finish', () => resolve(hash.digest('hex')));
+        res.pipe(stream);
+      }));
+  }
+
+  /**
+   * Resolve the expected SHA-256 digest of the archive at a given
+   * {@linkcode location} per a given {@link MongodBinary~Config#checksum};
+   * {@linkcode null} when it should not be verified.
+   * @protected
+   * @argument {MongodBinary~Config} config
+   * @argument {String} location
+   * @return {Promise}
+   */
+  static getChecksum(config, location) {
+    if (config.checksum === false) {
+      return Promise.resolve(null);
+    }
+
+    if (typeof config.checksum === 'string') {
+      return Promise.resolve(config.checksum.toLowerCase());
+    }
+
+    return MongodBinary.request(`${location}.sha256`).then((res) =>
+      new Promise((resolve, reject) => {
+        let text = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => text += chunk);
+        res.on('error', reject);
+        res.on('end', () => resolve(text.trim().split(/\s+/)[0].toLowerCase()));
+      }));
+  }
+
+  /**
+   * Extract a gzipped tar {@linkcode archive} into a given {@linkcode dir},
+   * stripping the top-level directory from the path of each entry.
+   * @protected
+   * @argument {String} archive
+   * @argument {String} dir
+   * @return {Promise}
+   */
+  static extract(archive, dir) {
+    return new Promise((resolve, reject) => {
+      const input = fs.createReadStream(archive);
+      const gunzip = zlib.createGunzip();
+      let buffer = Buffer.concat([]);
+      let entry = null;
+      let skip = 0;
+      let nextName = null;
+      let done = false;
+
+      /**
+       * Get the path in {@linkcode dir} of an entry with a given
+       * {@linkcode name}; {@linkcode null} for the top-level directory.
+       * @argument {String} name
+       * @return {String}
+       */
+      const getTarget = (name) => {
+        const parts = name.split('/').filter((part) => part !== '' &&
+          part !== '.');
+
+        if (parts.indexOf('..') !== -1) {
+          throw new Error(`Unsafe path in archive: ${name}`);
+        }
+
+        return parts.length > 1 ?
+          path.join.apply(path, [dir].concat(parts.slice(1))) :
+          null;
+      };
+
+      /**
+       * Check that a symbolic link at a given {@linkcode target} path to a
+       * given {@linkcode linkname} resolves within {@linkcode dir}; through
+       * the real path of its directory, since entries before it may
+       * themselves be links.
+       * @argument {String} target
+       * @argument {String} linkname
+       * @throws {Error}
+       * @return {undefined}
+       */
+      const checkLink = (target, linkname) => {
+        const root = fs.realpathSync(dir);
+        const resolved = path.resolve(
+          fs.realpathSync(path.dirname(target)),
+          linkname
+        );
+        const relative = path.relative(root, resolved);
+
+        if (
+          path.isAbsolute(linkname) ||
+          relative === '..' ||
+          relative.indexOf(`..${path.sep}`) === 0 ||
+          path.isAbsolute(relative)
+        ) {
+          throw new Error(`Unsafe link in archive: ${target} -> ${linkname}`);
+        }
+      };
+
+      /**
+       * Read a NUL-terminated string from a given header field.
+       * @argument {Buffer} header
+       * @argument {Number} start
+       * @argument {Number} end
+       * @return {String}
+       */
+      const readString = (header, start, end) => {
+        const value = header.toString('utf8', start, end);
+        const index = value.indexOf('\0');
+
+        return index === -1 ? value : value.slice(0, index);
+      };
+
+      /**
+       * Begin an entry for a given 512 byte tar header.
+       * @argument {Buffer} header
+       * @return {undefined}
+       */
+      const readHeader = (header) => {
+        const type = String.fromCharCode(header[156]);
+        const size = parseInt(readString(header, 124, 136).trim(), 8) || 0;
+        const mode = parseInt(readString(header, 100, 108).trim(), 8) || 420;
+        const prefix = readString(header, 345, 500);
+        let name = readString(header, 0, 100);
+
+        if (prefix !== '') {
+          name = `${prefix}/${name}`;
+        }
+
+        if (nextName !== null) {
+          name = nextName;
+          nextName = null;
+        }
+
+        entry = { type, size, remaining: size, name, fd: null, data: null };
+
+        if (type === 'L' || type === 'x') {
+          entry.data = [];
+        }
+        else if (type === '5') {
+          const target = getTarget(name);
+
+          if (target !== null) {
+            MongodBinary.mkdirpSync(target);
+          }
+        }
+        else if (type === '2') {
+          const target = getTarget(name);
+
+          if (target !== null) {
+            const linkname = readString(header, 157, 257);
+
+            MongodBinary.mkdirpSync(path.dirname(target));
+            checkLink(target, linkname);
+            fs.symlinkSync(linkname, target);
+          }
+        }
+        else if (type === '0' || type === '\0') {
+          const target = getTarget(name);
+
+          if (target !== null) {
+            MongodBinary.mkdirpSync(path.dirname(target));
+            entry.fd = fs.openSync(target, 'w', mode);
+          }
+        }
+      };
+
+      /**
+       * Finish the current entry.
+       * @return {undefined}
+       */
+      const endEntry = () => {
+        if (entry.fd !== null) {
+          fs.closeSync(entry.fd);
+        }
+
+        if (entry.type === 'L') {
+          nextName = readString(Buffer.concat(entry.data), 0, entry.size);
+        }
+        else if (entry.type === 'x') {
+          const matches = /\d+ path=([^\n]*)\n/
+            .exec(Buffer.concat(entry.data).toString('utf8'));
+
+          if (matches !== null) {
+            nextName = matches[1];
+          }
+        }
+
+        skip = (512 - entry.size % 512) % 512;
+        entry = null;
+      };
+
+      /**
+       * Consume as much of the buffered tar stream as possible.
+       * @return {undefined}
+       */
+      const consume = () => {
+        while (!done) {
+          if (skip > 0) {
+            const length = Math.min(skip, buffer.length);
+
+            skip -= length;
+            buffer = buffer.slice(length);
+
+            if (skip > 0) {
+              return;
+            }
+          }
+          else if (entry !== null) {
+            const length = Math.min(entry.remaining, buffer.length);
+            const chunk = buffer.slice(0, length);
+
+            if (entry.fd !== null) {
+              fs.writeSync(entry.fd, chunk, 0, length);
+            }
+            else if (entry.data !== null) {
+              entry.data.push(chunk);
+            }
+
+            entry.remaining -= length;
+            buffer = buffer.slice(length);
+
+            if (entry.remaining > 0) {
+              return;
+            }
+
+            endEntry();
+          }
+          else if (buffer.length >= 512) {
+            const header = buffer.slice(0, 512);
+
+            buffer = buffer.slice(512);
+
+            if (header.every((byte) => byte === 0)) {
+              done = true;
+            }
+            else {
+              readHeader(header);
+            }
+          }
+          else {
+            return;
+          }
+        }
+      };
+
+      /**
+       * Abort the extraction.
+       * @argument {Error} err
+       * @return {undefined}
+       */
+      const fail = (err) => {
+        done = true;
+
+        if (entry !== null && entry.fd !== null) {
+          fs.closeSync(entry.fd);
+          entry.fd = null;
+        }
+
+        input.destroy();
+        reject(err);
+      };
+
+      gunzip.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        try {
+          consume();
+        }
+        catch (err) {
+          fail(err);
+        }
+      });
+      gunzip.on('end', () => {
+        if (entry !== null) {
+          fail(new Error(`Unexpected end of archive: ${archive}`));
+        }
+        else {
+          resolve(null);
+        }
+      });
+      gunzip.on('error', fail);
+      input.on('error', fail);
+      input.pipe(gunzip);
+    });
+  }
+
+  /**
+   * Make a directory at a given {@linkcode dir} path along with any missing
+   * parent directories, synchronously.
+   * @protected
+   * @argument {String} dir
+   * @return {undefined}
+   */
+  static mkdirpSync(dir) {
+    try {
+      fs.mkdirSync(dir);
+    }
+    catch (err) {
+      if (err.code === 'ENOENT') {
+        MongodBinary.mkdirpSync(path.dirname(dir));
+        fs.mkdirSync(dir);
+      }
+      else if (!fs.statSync(dir).isDirectory()) {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Acquire an exclusive lock, across processes, on a given
+   * {@linkcode file}, waiting for any other holder to release it, and
+   * resolve a {@link MongodBinary~Lock}. The file holds a token that
+   * identifies this holder and its modification time is refreshed until it
+   * is released, so that only a lock abandoned for
+   * {@link lockStaleTime} is taken over.
+   * @protected
+   * @argument {String} file
+   * @return {Promise}
+   */
+  static lock(file) {
+    const token = `${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+
+    return new Promise((resolve, reject) => {
+      fs.open(file, 'wx', (err, fd) => {
+        if (err === null) {
+          return fs.write(fd, token, (writeErr) => fs.close(fd, () => {
+            if (writeErr !== null) {
+              return fs.unlink(file, () => reject(writeErr));
+            }
+
+            const timer = setInterval(() => {
+              const now = new Date();
+
+              fs.utimes(file, now, now, () => null);
+            }, lockRefreshInterval);
+
+            // A held lock does not keep this process alive.
+            timer.unref();
+            resolve({ file, token, timer });
+          }));
+        }
+
+        if (err.code !== 'EEXIST') {
+          return reject(err);
+        }
+
+        fs.stat(file, (statErr, stats) => {
+          if (
+            statErr === null &&
+            Date.now() - stats.mtime.getTime() > lockStaleTime
+          ) {
+            return fs.unlink(file, () => resolve(MongodBinary.lock(file)));
+          }
+
+          setTimeout(() => resolve(MongodBinary.lock(file)), lockInterval);
+        });
+      });
+    });
+  }
+
+  /**
+   * Release a given {@link MongodBinary~Lock} acquired by
+   * {@link MongodBinary.lock}, removing its file only if it still holds the
+   * token of the lock; another process may have taken it over.
+   * @protected
+   * @argument {MongodBinary~Lock} lock
+   * @return {Promise}
+   */
+  static unlock(lock) {
+    clearInterval(lock.timer);
+
+    return new Promise((resolve) => {
+      fs.readFile(lock.file, 'utf8', (err, data) => {
+        if (err !== null || data !== lock.token) {
+          return resolve(null);
+        }
+
+        fs.unlink(lock.file, () => resolve(null));
+      });
+    });
+  }
+
+  /**
+   * Download, verify, and extract the MongoDB archive for a given
+   * {@link MongodBinary} into its cache unless it is already there.
+   * @protected
+   * @argument {MongodBinary} binary
+   * @return {Promise}
+   */
+  static install(binary) {
+    const dir = binary.dir;
+    const location = MongodBinary.getDownloadUrl(binary.config);
+    const archive = `${dir}.tgz`;
+    const staging = `${dir}.tmp`;
+    const lockfile = `${dir}.lock`;
+
+    /**
+     * Determine if the archive has been extracted.
+     * @return {Boolean}
+     */
+    const isInstalled = () => fs.existsSync(dir);
+
+    if (isInstalled()) {
+      return Promise.resolve(null);
+    }
+
+    if (downloads[dir] != null) {
+      return downloads[dir];
+    }
+
+    let lock = null;
+
+    /**
+     * Remove any partial download and release the lock, if acquired;
+     * otherwise, they belong to another process.
+     * @return {Promise}
+     */
+    const cleanup = () => lock === null ?
+      Promise.resolve(null) :
+      Promise.all([Mongod.rmrf(archive), Mongod.rmrf(staging)])
+        .then(() => MongodBinary.unlock(lock));
+
+    downloads[dir] = Mongod.mkdirp(binary.config.cache)
+      .then(() => MongodBinary.lock(lockfile))
+      .then((result) => {
+        lock = result;
+
+        if (isInstalled()) {
+          return null;
+        }
+
+        return Promise.all([
+          MongodBinary.download(location, archive),
+          MongodBinary.getChecksum(binary.config, location)
+        ])
+          .then((digests) => {
+            if (digests[1] !== null && digests[0] !== digests[1]) {
+              throw new Error(`Checksum mismatch for ${location}`);
+            }
+
+            return Mongod.rmrf(staging);
+          })
+          .then(() => MongodBinary.extract(archive, staging))
+          .then(() => new Promise((resolve, reject) =>
+            fs.rename(staging, dir, (err) =>
+              err === null ? resolve(null) : reject(err))));
+      })
+      .then(
+        () => cleanup(),
+        (err) => cleanup().then(() => {
+          throw err;
+        })
+      )
+      .then(
+        () => {
+          delete downloads[dir];
+
+          return null;
+        },
+        (err) => {
+          delete downloads[dir];
+
+          throw err;
+        }
+      );
+
+    return downloads[dir];
+  }
+
+  /**
+   * Construct a new {@link MongodBinary}.
+   * @argument {(String|MongodBinary~Config)} config
+   * A version string or an object for configuration.
+   */
+  constructor(config) {
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {MongodBinary~Config}
+     */
+    this.config = MongodBinary.parseConfig(config, {
+      version: null,
+      binary: 'mongod',
+      mirror: 'https://fastdl.mongodb.org',
+      cache: path.join(os.homedir(), '.cache', 'mongod'),
+      platform: null,
+      arch: null,
+      distro: null,
+      checksum: true
+    });
+
+    if (this.config.version == null) {
+      throw new Error('A MongoDB version is required');
+    }
+  }
+
+  /**
+   * The directory the archive is extracted into.
+   * @type {String}
+   */
+  get dir() {
+    const name = MongodBinary.getArchiveName(this.config);
+
+    return path.join(this.config.cache, name.replace(/\.tgz$/, ''));
+  }
+
+  /**
+   * The path of the binary once the archive is extracted.
+   * @type {String}
+   */
+  get path() {
+    return path.join(this.dir, 'bin', this.config.binary);
+  }
+
+  /**
+   * Get the path of the binary, downloading it first when necessary.
+   * @argument {MongodBinary~callback} [callback]
+   * @return {Promise}
+   */
+  getPath(callback) {
+    const promise = MongodBinary.install(this).then(() => this.path);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = MongodBinary;
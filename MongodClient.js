@@ -0,0 +1,773 @@
+'use strict';
+
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const MongodError = require('./MongodError');
+
+/**
+ * The operation code of an {@linkcode OP_MSG} message.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const opMsg = 2013;
+
+/**
+ * The size of a wire protocol message header in bytes.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const headerSize = 16;
+
+/**
+ * The {@linkcode OP_MSG} flag bit signifying a trailing checksum.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const checksumPresent = 1;
+
+/**
+ * BSON element types keyed by name.
+ * @readonly
+ * @private
+ * @type {Object.<String,Number>}
+ */
+const types = {
+  double: 0x01,
+  string: 0x02,
+  document: 0x03,
+  array: 0x04,
+  binary: 0x05,
+  undefined: 0x06,
+  objectId: 0x07,
+  boolean: 0x08,
+  date: 0x09,
+  null: 0x0A,
+  regExp: 0x0B,
+  code: 0x0D,
+  symbol: 0x0E,
+  int32: 0x10,
+  timestamp: 0x11,
+  int64: 0x12,
+  decimal128: 0x13,
+  minKey: 0xFF,
+  maxKey: 0x7F
+};
+
+/**
+ * The hash functions, key lengths, and password digests of the SCRAM
+ * mechanisms {@link MongodClient#authenticate} supports keyed by name.
+ * {@linkcode SCRAM-SHA-1} salts an MD5 digest of the username and password;
+ * {@linkcode SCRAM-SHA-256} the password as given, without SASLprep.
+ * @readonly
+ * @private
+ * @type {Object.<String,Object>}
+ */
+const scramMechanisms = {
+  'SCRAM-SHA-1': {
+    hash: 'sha1',
+    keyLength: 20,
+    digest: (username, password) => crypto
+      .createHash('md5')
+      .update(`${username}:mongo:${password}`)
+      .digest('hex')
+  },
+  'SCRAM-SHA-256': {
+    hash: 'sha256',
+    keyLength: 32,
+    digest: (username, password) => password
+  }
+};
+
+/**
+ * The last request ID sent by any {@link MongodClient}.
+ * @private
+ * @type {Number}
+ */
+let lastRequestId = 0;
+
+/**
+ * Send commands to a MongoDB server over the wire protocol with a minimal
+ * built-in BSON implementation; just enough to bootstrap and probe servers.
+ * @class
+ */
+class MongodClient {
+
+  /**
+   * Encode a given {@linkcode document} as BSON. Integers in the 32-bit
+   * range are encoded as {@linkcode int32} and other numbers as
+   * {@linkcode double}, buffers as binary, and {@linkcode undefined} values
+   * are omitted.
+   * @protected
+   * @argument {Object} document
+   * @return {Buffer}
+   */
+  static encode(document) {
+    const chunks = [Buffer.alloc(4)];
+
+    for (let key of Object.keys(document)) {
+      const value = document[key];
+
+      if (value !== undefined) {
+        chunks.push(MongodClient.encodeElement(key, value));
+      }
+    }
+
+    chunks.push(Buffer.alloc(1));
+
+    const buffer = Buffer.concat(chunks);
+
+    buffer.writeInt32LE(buffer.length, 0);
+
+    return buffer;
+  }
+
+  /**
+   * Encode a given {@linkcode key} and {@linkcode value} as a BSON element.
+   * @protected
+   * @argument {String} key
+   * @argument {*} value
+   * @return {Buffer}
+   */
+  static encodeElement(key, value) {
+    const name = Buffer.from(`${key}\0`);
+    let type = null;
+    let data = null;
+
+    if (value === null) {
+      type = types.null;
+      data = Buffer.alloc(0);
+    }
+    else if (typeof value === 'boolean') {
+      type = types.boolean;
+      data = Buffer.from([value ? 1 : 0]);
+    }
+    else if (typeof value === 'number') {
+      if (value % 1 === 0 && value >= -0x80000000 && value <= 0x7FFFFFFF) {
+        type = types.int32;
+        data = Buffer.alloc(4);
+        data.writeInt32LE(value, 0);
+      }
+      else {
+        type = types.double;
+        data = Buffer.alloc(8);
+        data.writeDoubleLE(value, 0);
+      }
+    }
+    else if (typeof value === 'string') {
+      const string = Buffer.from(value);
+
+      type = types.string;
+      data = Buffer.alloc(string.length + 5);
+      data.writeInt32LE(string.length + 1, 0);
+      string.copy(data, 4);
+    }
+    else if (value instanceof Date) {
+      type = types.date;
+      data = MongodClient.encodeInt64(value.getTime());
+    }
+    else if (Buffer.isBuffer(value)) {
+      type = types.binary;
+      data = Buffer.alloc(value.length + 5);
+      data.writeInt32LE(value.length, 0);
+      value.copy(data, 5);
+    }
+    else if (Array.isArray(value)) {
+      type = types.array;
+      data = MongodClient.encode(value.reduce((object, item, index) => {
+        object[index] = item;
+
+        return object;
+      }, {}));
+    }
+    else if (typeof value === 'object') {
+      type = types.document;
+      data = MongodClient.encode(value);
+    }
+    else {
+      throw new TypeError(`Cannot encode ${key} of type ${typeof value}`);
+    }
+
+    return Buffer.concat([Buffer.from([type]), name, data]);
+  }
+
+  /**
+   * Encode a given {@linkcode number} as a little-endian 64-bit integer.
+   * @protected
+   * @argument {Number} number
+   * @return {Buffer}
+   */
+  static encodeInt64(number) {
+    const buffer = Buffer.alloc(8);
+    const high = Math.floor(number / 0x100000000);
+
+    buffer.writeUInt32LE(number - high * 0x100000000, 0);
+    buffer.writeInt32LE(high, 4);
+
+    return buffer;
+  }
+
+  /**
+   * Decode a little-endian 64-bit integer at a given {@linkcode offset} of a
+   * given {@linkcode buffer}. Precision is lost beyond 53 bits.
+   * @protected
+   * @argument {Buffer} buffer
+   * @argument {Number} offset
+   * @return {Number}
+   */
+  static decodeInt64(buffer, offset) {
+    return buffer.readInt32LE(offset + 4) * 0x100000000 +
+      buffer.readUInt32LE(offset);
+  }
+
+  /**
+   * Decode a BSON document at a given {@linkcode offset} of a given
+   * {@linkcode buffer}. Object IDs are decoded as hexadecimal strings,
+   * timestamps as objects of their {@linkcode t} and {@linkcode i}
+   * components, and values of types without a JavaScript counterpart
+   * (i.e. {@linkcode decimal128}) as buffers.
+   * @protected
+   * @argument {Buffer} buffer
+   * @argument {Number} [offset=0]
+   * @argument {Boolean} [isArray=false]
+   * @return {(Object|Array)}
+   */
+  static decode(buffer, offset, isArray) {
+    const start = offset || 0;
+    const end = start + buffer.readInt32LE(start) - 1;
+    const document = isArray ? [] : {};
+    let position = start + 4;
+
+    /**
+     * Read a null-terminated string at the current position.
+     * @return {String}
+     */
+    const readCString = () => {
+      const terminator = buffer.indexOf(0, position);
+      const string = buffer.toString('utf8', position, terminator);
+
+      position = terminator + 1;
+
+      return string;
+    };
+
+    while (position < end) {
+      const type = buffer[position++];
+      const key = readCString();
+      let value = null;
+
+      switch (type) {
+        case types.double:
+          value = buffer.readDoubleLE(position);
+          position += 8;
+          break;
+        case types.string:
+        case types.code:
+        case types.symbol:
+          value = buffer.toString(
+            'utf8',
+            position + 4,
+            position + 3 + buffer.readInt32LE(position)
+          );
+          position += 4 + buffer.readInt32LE(position);
+          break;
+        case types.document:
+        case types.array:
+          value = MongodClient.decode(
+            buffer,
+            position,
+            type === types.array
+          );
+          position += buffer.readInt32LE(position);
+          break;
+        case types.binary:
+          value = Buffer.from(buffer.slice(
+            position + 5,
+            position + 5 + buffer.readInt32LE(position)
+          ));
+          position += 5 + buffer.readInt32LE(position);
+          break;
+        case types.undefined:
+          value = undefined;
+          break;
+        case types.objectId:
+          value = buffer.toString('hex', position, position + 12);
+          position += 12;
+          break;
+        case types.boolean:
+          value = buffer[position] === 1;
+          position += 1;
+          break;
+        case types.date:
+          value = new Date(MongodClient.decodeInt64(buffer, position));
+          position += 8;
+          break;
+        case types.null:
+        case types.minKey:
+        case types.maxKey:
+          break;
+        case types.regExp:
+          value = { pattern: readCString(), options: readCString() };
+          break;
+        case types.int32:
+          value = buffer.readInt32LE(position);
+          position += 4;
+          break;
+        case types.timestamp:
+          value = {
+            t: buffer.readUInt32LE(position + 4),
+            i: buffer.readUInt32LE(position)
+          };
+          position += 8;
+          break;
+        case types.int64:
+          value = MongodClient.decodeInt64(buffer, position);
+          position += 8;
+          break;
+        case types.decimal128:
+          value = Buffer.from(buffer.slice(position, position + 16));
+          position += 16;
+          break;
+        default:
+          throw new TypeError(`Cannot decode ${key} of BSON type ${type}`);
+      }
+
+      if (isArray) {
+        document.push(value);
+      }
+      else {
+        document[key] = value;
+      }
+    }
+
+    return document;
+  }
+
+  /**
+   * Get an {@linkcode OP_MSG} message with a given {@linkcode requestId} and
+   * a given {@linkcode command} document as its body.
+   * @protected
+   * @argument {Number} requestId
+   * @argument {Object} command
+   * @return {Buffer}
+   */
+  static serialize(requestId, command) {
+    const body = MongodClient.encode(command);
+    const header = Buffer.alloc(headerSize + 5);
+
+    header.writeInt32LE(header.length + body.length, 0);
+    header.writeInt32LE(requestId, 4);
+    header.writeInt32LE(0, 8);
+    header.writeInt32LE(opMsg, 12);
+    header.writeUInt32LE(0, 16);
+    header.writeUInt8(0, 20);
+
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Parse a complete {@linkcode OP_MSG} message in a given
+   * {@linkcode buffer} and get the request it responds to and the document
+   * of its body.
+   * @protected
+   * @argument {Buffer} buffer
+   * @return {Object}
+   */
+  static deserialize(buffer) {
+    const responseTo = buffer.readInt32LE(8);
+    const opCode = buffer.readInt32LE(12);
+
+    if (opCode !== opMsg) {
+      throw new MongodError(`Unexpected wire protocol operation ${opCode}`);
+    }
+
+    const flagBits = buffer.readUInt32LE(16);
+    const end = buffer.length - (flagBits & checksumPresent ? 4 : 0);
+    let position = headerSize + 4;
+
+    while (position < end) {
+      const kind = buffer[position++];
+
+      if (kind === 0) {
+        return { responseTo, document: MongodClient.decode(buffer, position) };
+      }
+
+      // Skip document sequences; replies to commands do not use them.
+      position += buffer.readInt32LE(position);
+    }
+
+    throw new MongodError('A wire protocol reply is missing a body');
+  }
+
+  /**
+   * Get the HMAC of given {@linkcode data} with a given {@linkcode key} and
+   * {@linkcode hash} function.
+   * @protected
+   * @argument {String} hash
+   * @argument {Buffer} key
+   * @argument {(Buffer|String)} data
+   * @return {Buffer}
+   */
+  static hmac(hash, key, data) {
+    return crypto
+      .createHmac(hash, key)
+      .update(data)
+      .digest();
+  }
+
+  /**
+   * Get the exclusive or of two given buffers of the same length.
+   * @protected
+   * @argument {Buffer} a
+   * @argument {Buffer} b
+   * @return {Buffer}
+   */
+  static xor(a, b) {
+    const result = Buffer.alloc(a.length);
+
+    for (let i = 0; i < a.length; i++) {
+      result[i] = a[i] ^ b[i];
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the attributes of a SCRAM message (e.g. {@linkcode r=abc,i=4096})
+   * in a given {@linkcode payload}.
+   * @protected
+   * @argument {Buffer} payload
+   * @return {Object.<String,String>}
+   */
+  static parseScramMessage(payload) {
+    const pairs = payload.toString().split(',');
+
+    return pairs.reduce((attributes, pair) => {
+      const index = pair.indexOf('=');
+
+      if (index > 0) {
+        attributes[pair.slice(0, index)] = pair.slice(index + 1);
+      }
+
+      return attributes;
+    }, {});
+  }
+
+  /**
+   * Connect to a MongoDB server on a given {@linkcode port} of a given
+   * {@linkcode host} and resolve a {@link MongodClient}.
+   * @argument {(Number|String)} port
+   * @argument {String} [host=127.0.0.1]
+   * @argument {Number} [timeout=0]
+   * A number of milliseconds to wait for the connection, and without a reply
+   * to a pending command, after which the connection is closed.
+   * @argument {Object} [tlsOptions]
+   * Options for {@linkcode tls.connect} to connect with TLS.
+   * @return {Promise}
+   */
+  static connect(port, host, timeout, tlsOptions) {
+    return new Promise((resolve, reject) => {
+      const socket = tlsOptions == null ?
+        net.connect(Number(port), host || '127.0.0.1') :
+        tls.connect(Object.assign({}, tlsOptions, {
+          port: Number(port),
+          host: host || '127.0.0.1'
+        }));
+
+      /**
+       * Reject the current {@link Promise} when failing to connect.
+       * @argument {Error} err
+       * @return {undefined}
+       */
+      const errorListener = (err) => reject(err);
+
+      /**
+       * Reject the current {@link Promise} when the connection takes longer
+       * than {@linkcode timeout}.
+       * @return {undefined}
+       */
+      const timeoutListener = () => {
+        socket.removeListener('error', errorListener);
+        socket.on('error', () => null);
+        socket.destroy();
+        reject(new MongodError(`Timed out connecting within ${timeout}ms`));
+      };
+
+      if (timeout > 0) {
+        socket.setTimeout(timeout);
+        socket.once('timeout', timeoutListener);
+      }
+
+      socket.once('error', errorListener);
+      socket.once(tlsOptions == null ? 'connect' : 'secureConnect', () => {
+        socket.removeListener('error', errorListener);
+        socket.removeListener('timeout', timeoutListener);
+        resolve(new MongodClient(socket, timeout));
+      });
+    });
+  }
+
+  /**
+   * Construct a new {@link MongodClient}.
+   * @argument {net.Socket} socket
+   * @argument {Number} [timeout=0]
+   */
+  constructor(socket, timeout) {
+
+    /**
+     * The connection to the MongoDB server.
+     * @protected
+     * @type {net.Socket}
+     */
+    this.socket = socket;
+
+    /**
+     * Callbacks of pending commands keyed by request ID.
+     * @protected
+     * @type {Object.<Number,Function>}
+     */
+    this.pending = Object.create(null);
+
+    /**
+     * Data received but not yet parsed as a complete message.
+     * @protected
+     * @type {Buffer}
+     */
+    this.buffer = Buffer.alloc(0);
+
+    /**
+     * The error that closed the connection, if any.
+     * @protected
+     * @type {Error}
+     */
+    this.error = null;
+
+    socket.on('data', (data) => this.receive(data));
+    socket.on('error', (err) => this.error = err);
+    socket.on('close', () => this.reject(
+      this.error || new MongodError('The connection was closed')));
+    socket.on('timeout', () => {
+      if (Object.keys(this.pending).length !== 0) {
+        this.error = new MongodError('Timed out waiting for a reply');
+
+        socket.destroy();
+      }
+    });
+
+    if (timeout > 0) {
+      socket.setTimeout(timeout);
+    }
+  }
+
+  /**
+   * Parse complete messages from received {@linkcode data} and settle the
+   * commands they respond to.
+   * @protected
+   * @argument {Buffer} data
+   * @return {undefined}
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (
+      this.buffer.length >= 4 &&
+      this.buffer.length >= this.buffer.readInt32LE(0)
+    ) {
+      const length = this.buffer.readInt32LE(0);
+      const message = this.buffer.slice(0, length);
+      let reply = null;
+
+      this.buffer = this.buffer.slice(length);
+
+      try {
+        reply = MongodClient.deserialize(message);
+      }
+      catch (err) {
+        this.error = err;
+
+        return this.socket.destroy();
+      }
+
+      const callback = this.pending[reply.responseTo];
+
+      if (callback != null) {
+        delete this.pending[reply.responseTo];
+        callback(null, reply.document);
+      }
+    }
+  }
+
+  /**
+   * Reject every pending command with a given {@linkcode err}.
+   * @protected
+   * @argument {Error} err
+   * @return {undefined}
+   */
+  reject(err) {
+    const pending = this.pending;
+
+    this.pending = Object.create(null);
+
+    for (let requestId of Object.keys(pending)) {
+      pending[requestId](err, null);
+    }
+  }
+
+  /**
+   * Run a given {@linkcode command} against a given {@linkcode db} and
+   * resolve the reply. Rejects a {@link CommandError} when the reply is not
+   * ok.
+   * @argument {String} db
+   * @argument {Object} command
+   * @return {Promise}
+   */
+  command(db, command) {
+    return new Promise((resolve, reject) => {
+      const requestId = lastRequestId = (lastRequestId + 1) % 0x7FFFFFFF;
+      const body = Object.assign({}, command, { $db: db });
+
+      if (this.socket.destroyed) {
+        return reject(
+          this.error || new MongodError('The connection is closed')
+        );
+      }
+
+      this.pending[requestId] = (err, reply) => {
+        if (err !== null) {
+          return reject(err);
+        }
+
+        if (reply.ok !== 1) {
+          return reject(new MongodError.CommandError(reply));
+        }
+
+        resolve(reply);
+      };
+
+      this.socket.write(MongodClient.serialize(requestId, body));
+    });
+  }
+
+  /**
+   * Authenticate as the user with a given {@linkcode username} and
+   * {@linkcode password} of a given {@linkcode db} with a given SCRAM
+   * {@linkcode mechanism}, verifying the signature of the server.
+   * @argument {String} db
+   * @argument {String} username
+   * @argument {String} password
+   * @argument {String} [mechanism=SCRAM-SHA-256]
+   * @return {Promise}
+   */
+  authenticate(db, username, password, mechanism) {
+    mechanism = mechanism || 'SCRAM-SHA-256';
+
+    const scram = scramMechanisms[mechanism];
+
+    if (scram == null) {
+      return Promise.reject(
+        new MongodError(`Unsupported authentication mechanism ${mechanism}`)
+      );
+    }
+
+    const hash = scram.hash;
+    const nonce = crypto.randomBytes(24).toString('base64');
+    const name = username.replace(/=/g, '=3D').replace(/,/g, '=2C');
+    const clientFirst = `n=${name},r=${nonce}`;
+
+    return this
+      .command(db, {
+        saslStart: 1,
+        mechanism,
+        payload: Buffer.from(`n,,${clientFirst}`),
+        autoAuthorize: 1,
+        options: { skipEmptyExchange: true }
+      })
+      .then((reply) => {
+        const payload = Buffer.isBuffer(reply.payload) ?
+          reply.payload :
+          Buffer.alloc(0);
+        const serverFirst = payload.toString();
+        const attributes = MongodClient.parseScramMessage(payload);
+        const iterations = Number(attributes.i);
+
+        if (
+          attributes.r == null ||
+          attributes.r.indexOf(nonce) !== 0 ||
+          attributes.s == null ||
+          !(iterations >= 4096)
+        ) {
+          throw new MongodError('The MongoDB server sent an invalid reply');
+        }
+
+        const saltedPassword = crypto.pbkdf2Sync(
+          scram.digest(username, password),
+          Buffer.from(attributes.s, 'base64'),
+          iterations,
+          scram.keyLength,
+          hash
+        );
+        const clientKey = MongodClient.hmac(hash, saltedPassword, 'Client Key');
+        const storedKey = crypto
+          .createHash(hash)
+          .update(clientKey)
+          .digest();
+        const serverKey = MongodClient.hmac(hash, saltedPassword, 'Server Key');
+        const clientFinal = `c=biws,r=${attributes.r}`;
+        const authMessage = `${clientFirst},${serverFirst},${clientFinal}`;
+        const proof = MongodClient.xor(
+          clientKey,
+          MongodClient.hmac(hash, storedKey, authMessage)
+        );
+        const signature = MongodClient
+          .hmac(hash, serverKey, authMessage)
+          .toString('base64');
+
+        return this
+          .command(db, {
+            saslContinue: 1,
+            conversationId: reply.conversationId,
+            payload: Buffer.from(`${clientFinal},p=${proof.toString('base64')}`)
+          })
+          .then((final) => {
+            const verifier = Buffer.isBuffer(final.payload) ?
+              MongodClient.parseScramMessage(final.payload).v :
+              null;
+
+            if (verifier !== signature) {
+              throw new MongodError('The MongoDB server signature is wrong');
+            }
+
+            // Servers that ignore skipEmptyExchange expect an empty message.
+            if (final.done) {
+              return null;
+            }
+
+            return this.command(db, {
+              saslContinue: 1,
+              conversationId: final.conversationId,
+              payload: Buffer.alloc(0)
+            }).then(() => null);
+          });
+      });
+  }
+
+  /**
+   * Close the connection.
+   * @return {Promise}
+   */
+  close() {
+    return new Promise((resolve) => {
+      if (this.socket.destroyed) {
+        return resolve(null);
+      }
+
+      this.socket.once('close', () => resolve(null));
+      this.socket.end();
+    });
+  }
+}
+
+module.exports = exports = MongodClient;
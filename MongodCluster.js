@@ -0,0 +1,400 @@
+'use strict';
+
+/**
+ * Configuration options for {@link MongodCluster}.
+ * @typedef {Object} MongodCluster~Config
+ * @property {(String|MongodBinary~Config)} [bin=mongod]
+ * @property {(String|MongodBinary~Config)} [mongos=mongos]
+ * @property {(Number|String)} [port=27017]
+ * @property {Number} [shards=2]
+ * @property {Number} [shardMembers=1]
+ * @property {Number} [configServers=1]
+ * @property {String} [dbpath]
+ * @property {String} [storageEngine]
+ * @property {Boolean} [nojournal=false]
+ */
+
+/**
+ * Invoked when an operation (i.e. {@link MongodCluster#open}) completes.
+ * @callback MongodCluster~callback
+ * @argument {Error} err
+ */
+
+/**
+ * Emitted when attempting to start a sharded cluster.
+ * @event MongodCluster#opening
+ */
+
+/**
+ * Emitted when every shard has been added to a sharded cluster.
+ * @event MongodCluster#open
+ */
+
+/**
+ * Emitted when attempting to stop a sharded cluster.
+ * @event MongodCluster#closing
+ */
+
+/**
+ * Emitted once every process of a sharded cluster has stopped.
+ * @event MongodCluster#close
+ */
+
+const events = require('events');
+const PromiseQueue = require('promise-queue');
+const Mongod = require('./Mongod');
+const MongodReplSet = require('./MongodReplSet');
+
+/**
+ * Start and stop a local sharded MongoDB cluster.
+ * @class
+ */
+class MongodCluster extends events.EventEmitter {
+
+  /**
+   * Populate a given {@link MongodCluster~Config} with values from a
+   * given {@link MongodCluster~Config}.
+   * @protected
+   * @argument {MongodCluster~Config} source
+   * @argument {MongodCluster~Config} target
+   * @return {MongodCluster~Config}
+   */
+  static parseConfig(source, target) {
+    return MongodReplSet.parseConfig(source, target);
+  }
+
+  /**
+   * Get a {@link MongodReplSet~Config} for the config server replica set of
+   * a given {@link MongodCluster~Config}.
+   * @protected
+   * @argument {MongodCluster~Config} config
+   * @return {MongodReplSet~Config}
+   */
+  static getConfigServerConfig(config) {
+    return {
+      bin: config.bin,
+      name: 'config',
+      members: config.configServers,
+      port: Mongod.isAutoPort(config.port) ?
+        config.port :
+        Number(config.port) + 1,
+      dbpath: config.dbpath,
+      configsvr: true
+    };
+  }
+
+  /**
+   * Get a {@link MongodReplSet~Config} for the shard at a given
+   * {@linkcode index} of a given {@link MongodCluster~Config}.
+   * @protected
+   * @argument {MongodCluster~Config} config
+   * @argument {Number} index
+   * @return {MongodReplSet~Config}
+   */
+  static getShardConfig(config, index) {
+    return {
+      bin: config.bin,
+      name: `shard${index}`,
+      members: config.shardMembers,
+      port: Mongod.isAutoPort(config.port) ?
+        config.port :
+        Number(config.port) + 1 + config.configServers +
+          index * config.shardMembers,
+      dbpath: config.dbpath,
+      storageEngine: config.storageEngine,
+      nojournal: config.nojournal,
+      shardsvr: true
+    };
+  }
+
+  /**
+   * Get the router binary for a given {@link MongodCluster~Config}; the
+   * {@linkcode mongos} binary from the same archive when
+   * {@link MongodCluster~Config#bin} is a {@link MongodBinary~Config}.
+   * @protected
+   * @argument {MongodCluster~Config} config
+   * @return {(String|MongodBinary~Config)}
+   */
+  static getRouterBin(config) {
+    if (config.mongos != null) {
+      return config.mongos;
+    }
+
+    if (typeof config.bin === 'object') {
+      return Object.assign({}, config.bin, { binary: 'mongos' });
+    }
+
+    return 'mongos';
+  }
+
+  /**
+   * Add each shard of a given {@link MongodCluster} to its router.
+   * @protected
+   * @argument {MongodCluster} cluster
+   * @return {Promise}
+   */
+  static addShards(cluster) {
+    return cluster.shards.reduce((promise, shard) => promise.then(() =>
+      Mongod
+        .command(cluster.router, 'admin', { addShard: shard.seedList })
+        .then(() => null)), Promise.resolve(null));
+  }
+
+  /**
+   * Stop the processes of a given {@link MongodCluster} in the reverse order
+   * they are started.
+   * @protected
+   * @argument {MongodCluster} cluster
+   * @argument {Mongod~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static teardown(cluster, options) {
+    return cluster.router.close(options)
+      .then(() => Promise.all(cluster.shards.map((shard) =>
+        shard.close(options))))
+      .then(() => cluster.configServer.close(options));
+  }
+
+  /**
+   * Start a given {@link MongodCluster}.
+   * @protected
+   * @argument {MongodCluster} cluster
+   * @return {Promise}
+   */
+  static open(cluster) {
+    if (cluster.isOpening) {
+      return cluster.openPromise;
+    }
+
+    cluster.isOpening = true;
+    cluster.isClosing = false;
+    cluster.openPromise = cluster.promiseQueue.add(() => {
+      if (cluster.isClosing || cluster.isRunning) {
+        cluster.isOpening = false;
+
+        return Promise.resolve(null);
+      }
+
+      cluster.emit('opening');
+
+      return cluster.configServer.open()
+        .then(() => Promise.all(cluster.shards.map((shard) => shard.open())))
+        .then(() => {
+          cluster.router.config.configdb = cluster.configServer.seedList;
+
+          return cluster.router.open();
+        })
+        .then(() => MongodCluster.addShards(cluster))
+        .then(() => {
+          cluster.isOpening = false;
+          cluster.isRunning = true;
+
+          cluster.emit('open');
+
+          return null;
+        })
+        .catch((err) => {
+          cluster.isClosing = true;
+
+          cluster.emit('closing');
+
+          return MongodCluster.teardown(cluster).then(() => {
+            cluster.isOpening = false;
+            cluster.isClosing = false;
+
+            cluster.emit('close');
+
+            throw err;
+          });
+        });
+    });
+
+    return cluster.openPromise;
+  }
+
+  /**
+   * Stop a given {@link MongodCluster}.
+   * @protected
+   * @argument {MongodCluster} cluster
+   * @argument {Mongod~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static close(cluster, options) {
+    if (cluster.isClosing) {
+      return cluster.closePromise;
+    }
+
+    cluster.isClosing = true;
+    cluster.isOpening = false;
+    cluster.closePromise = cluster.promiseQueue.add(() => {
+      if (cluster.isOpening || !cluster.isRunning) {
+        cluster.isClosing = false;
+
+        return Promise.resolve(null);
+      }
+
+      cluster.emit('closing');
+
+      return MongodCluster.teardown(cluster, options).then(() => {
+        cluster.isRunning = false;
+        cluster.isClosing = false;
+
+        cluster.emit('close');
+
+        return null;
+      });
+    });
+
+    return cluster.closePromise;
+  }
+
+  /**
+   * Construct a new {@link MongodCluster}.
+   * @argument {MongodCluster~Config} [config]
+   */
+  constructor(config) {
+    super();
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {MongodCluster~Config}
+     */
+    this.config = MongodCluster.parseConfig(config, {
+      bin: 'mongod',
+      mongos: null,
+      port: 27017,
+      shards: 2,
+      shardMembers: 1,
+      configServers: 1,
+      dbpath: null,
+      storageEngine: null,
+      nojournal: false
+    });
+
+    /**
+     * The config server replica set.
+     * @readonly
+     * @type {MongodReplSet}
+     */
+    this.configServer = new MongodReplSet(
+      MongodCluster.getConfigServerConfig(this.config)
+    );
+
+    /**
+     * The shards, each a replica set.
+     * @readonly
+     * @type {Array.<MongodReplSet>}
+     */
+    this.shards = [];
+
+    for (let i = 0; i < this.config.shards; ++i) {
+      this.shards.push(
+        new MongodReplSet(MongodCluster.getShardConfig(this.config, i))
+      );
+    }
+
+    /**
+     * The {@linkcode mongos} router that clients connect to.
+     * @readonly
+     * @type {Mongod}
+     */
+    this.router = new Mongod({
+      bin: MongodCluster.getRouterBin(this.config),
+      port: this.config.port,
+      configdb: this.configServer.seedList
+    });
+
+    /**
+     * The last {@link Promise} returned by {@link MongodCluster#open}.
+     * @protected
+     * @type {Promise}
+     */
+    this.openPromise = Promise.resolve(null);
+
+    /**
+     * The last {@link Promise} returned by {@link MongodCluster#close}.
+     * @protected
+     * @type {Promise}
+     */
+    this.closePromise = Promise.resolve(null);
+
+    /**
+     * A serial queue of open and close promises.
+     * @protected
+     * @type {PromiseQueue}
+     */
+    this.promiseQueue = new PromiseQueue(1);
+
+    /**
+     * Determine if the instance is closing its processes.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isClosing = false;
+
+    /**
+     * Determine if the instance is starting its processes.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isOpening = false;
+
+    /**
+     * Determine if every process is running and every shard has been added.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isRunning = false;
+  }
+
+  /**
+   * A connection string for the router.
+   * @type {String}
+   */
+  get uri() {
+    return `mongodb://127.0.0.1:${this.router.port}`;
+  }
+
+  /**
+   * Open the cluster.
+   * @argument {MongodCluster~callback} [callback]
+   * @return {Promise}
+   */
+  open(callback) {
+    const promise = MongodCluster.open(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close the cluster.
+   * @argument {Mongod~CloseOptions} [options]
+   * @argument {MongodCluster~callback} [callback]
+   * @return {Promise}
+   */
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = MongodCluster.close(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = MongodCluster;
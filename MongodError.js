@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * The base class of errors specific to starting and stopping MongoDB
+ * servers.
+ * @class
+ */
+class MongodError extends Error {
+
+  /**
+   * Construct a new {@link MongodError}.
+   * @argument {String} message
+   */
+  constructor(message) {
+    super(message);
+
+    /**
+     * The name of the error class.
+     * @type {String}
+     */
+    this.name = this.constructor.name;
+
+    /**
+     * The log entry of a MongoDB server that reported the error, if any.
+     * @type {Mongod~LogEntry}
+     */
+    this.entry = null;
+
+    /**
+     * The exit code of a MongoDB server that failed to start, if known.
+     * @type {Number}
+     */
+    this.exitCode = null;
+
+    /**
+     * The configuration of a {@link Mongod} that failed to start.
+     * @type {Mongod~Config}
+     */
+    this.config = null;
+
+    /**
+     * The last lines a MongoDB server that failed to start printed to stdout
+     * and stderr.
+     * @type {Array.<String>}
+     */
+    this.output = [];
+
+    /**
+     * The recent lines of output a {@link Mongod} that failed to start kept,
+     * including those of earlier processes.
+     * @see Mongod#getLogs
+     * @type {Array.<String>}
+     */
+    this.logs = [];
+  }
+}
+
+/**
+ * An error for a configuration option that the version of a MongoDB server
+ * binary does not support.
+ * @class
+ */
+class UnsupportedOptionError extends MongodError {
+
+  /**
+   * Construct a new {@link UnsupportedOptionError}.
+   * @argument {String} option
+   * @argument {Mongod~Version} version
+   * @argument {String} message
+   */
+  constructor(option, version, message) {
+    super(`${message} (MongoDB ${version.version})`);
+
+    /**
+     * The name of the unsupported {@link Mongod~Config} property.
+     * @type {String}
+     */
+    this.option = option;
+
+    /**
+     * The version of the MongoDB server binary.
+     * @type {Mongod~Version}
+     */
+    this.version = version;
+  }
+}
+
+/**
+ * An error for a configuration option with a value of the wrong type or one
+ * that cannot be passed to a MongoDB server.
+ * @class
+ */
+class InvalidOptionError extends MongodError {
+
+  /**
+   * Construct a new {@link InvalidOptionError}.
+   * @argument {String} option
+   * @argument {String} message
+   */
+  constructor(option, message) {
+    super(message);
+
+    /**
+     * The name of the invalid {@link Mongod~Config} property.
+     * @type {String}
+     */
+    this.option = option;
+  }
+}
+
+/**
+ * An error for a MongoDB server that could not bind to a port because
+ * another process had.
+ * @class
+ */
+class PortInUseError extends MongodError {}
+
+/**
+ * An error for a MongoDB server that was not permitted to bind to a port or
+ * to access a file.
+ * @class
+ */
+class PermissionDeniedError extends MongodError {}
+
+/**
+ * An error for a MongoDB server that could not lock its data directory
+ * because another process had.
+ * @class
+ */
+class DbPathLockedError extends MongodError {}
+
+/**
+ * An error for a MongoDB server that failed to start for a problem with its
+ * TLS certificates or keys.
+ * @class
+ */
+class TLSError extends MongodError {}
+
+/**
+ * An error for a MongoDB server that exited before it became ready to
+ * service requests without saying why.
+ * @class
+ */
+class UnexpectedExitError extends MongodError {
+
+  /**
+   * Construct a new {@link UnexpectedExitError}.
+   * @argument {Number} code
+   * @argument {String} signal
+   */
+  constructor(code, signal) {
+    super(
+      signal !== null ?
+        `MongoDB server was killed by ${signal} before it started` :
+        `MongoDB server exited with code ${code} before it started`
+    );
+
+    /**
+     * The exit code of the MongoDB server or {@linkcode null} if it was
+     * killed by a signal.
+     * @type {Number}
+     */
+    this.exitCode = code;
+
+    /**
+     * The signal that killed the MongoDB server, if any.
+     * @type {String}
+     */
+    this.signal = signal;
+  }
+}
+
+/**
+ * An error for a MongoDB server that did not become ready to service
+ * requests in time.
+ * @class
+ */
+class StartupTimeoutError extends MongodError {
+
+  /**
+   * Construct a new {@link StartupTimeoutError}.
+   * @argument {Number} timeout
+   * @argument {Array.<String>} output
+   */
+  constructor(timeout, output) {
+    super(`MongoDB server did not start within ${timeout}ms`);
+
+    /**
+     * The number of milliseconds waited.
+     * @type {Number}
+     */
+    this.timeout = timeout;
+
+    /**
+     * The lines the process printed to stdout and stderr before it was
+     * killed.
+     * @type {Array.<String>}
+     */
+    this.output = output;
+  }
+}
+
+/**
+ * An error for a command a MongoDB server replied to with a failure.
+ * @class
+ */
+class CommandError extends MongodError {
+
+  /**
+   * Construct a new {@link CommandError}.
+   * @argument {Object} reply
+   */
+  constructor(reply) {
+    super(reply.errmsg || 'Command failed');
+
+    /**
+     * The reply of the MongoDB server.
+     * @type {Object}
+     */
+    this.reply = reply;
+
+    /**
+     * The name of the server error code (i.e. {@linkcode Unauthorized}).
+     * @type {String}
+     */
+    this.codeName = reply.codeName || null;
+  }
+}
+
+module.exports = exports = MongodError;
+exports.UnsupportedOptionError = UnsupportedOptionError;
+exports.InvalidOptionError = InvalidOptionError;
+exports.StartupTimeoutError = StartupTimeoutError;
+exports.CommandError = CommandError;
+exports.PortInUseError = PortInUseError;
+exports.PermissionDeniedError = PermissionDeniedError;
+exports.DbPathLockedError = DbPathLockedError;
+exports.TLSError = TLSError;
+exports.UnexpectedExitError = UnexpectedExitError;
@@ -0,0 +1,503 @@
+'use strict';
+
+/**
+ * Configuration options for {@link MongodPool}.
+ * @typedef {Object} MongodPool~Config
+ * @property {Number} [max]
+ * The number of servers to create at most; the number of CPUs if omitted.
+ * @property {(String|MongodPool~reset)} [reset=drop]
+ * How to reset a server when it is released: {@linkcode drop} to drop every
+ * database but {@linkcode admin}, {@linkcode config}, and
+ * {@linkcode local}, {@linkcode restart} to close it, remove its dbpath,
+ * and open it with an empty one, {@linkcode none}, or a function.
+ * @property {Mongod~Config} [server]
+ * The configuration of each server. A fixed port is offset and a dbpath is
+ * given a subdirectory for each.
+ */
+
+/**
+ * Reset a released server for its next use.
+ * @callback MongodPool~reset
+ * @argument {Mongod} server
+ * @return {Promise}
+ */
+
+/**
+ * Invoked when an operation (i.e. {@link MongodPool#acquire}) completes.
+ * @callback MongodPool~callback
+ * @argument {Error} err
+ * @argument {Mongod} [server]
+ */
+
+/**
+ * Emitted when a server has been created and opened.
+ * @event MongodPool#create
+ * @argument {Mongod} server
+ */
+
+/**
+ * Emitted when a server is handed out.
+ * @event MongodPool#acquire
+ * @argument {Mongod} server
+ */
+
+/**
+ * Emitted when a server has been reset and is available again.
+ * @event MongodPool#release
+ * @argument {Mongod} server
+ */
+
+/**
+ * Emitted once every server has been closed by {@link MongodPool#drain}.
+ * @event MongodPool#drain
+ */
+
+const events = require('events');
+const os = require('os');
+const path = require('path');
+const Mongod = require('./Mongod');
+const MongodError = require('./MongodError');
+
+/**
+ * The reset strategies a {@link MongodPool~Config} may name.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const resetStrategies = ['drop', 'restart', 'none'];
+
+/**
+ * Lazily start isolated MongoDB servers, up to a maximum, and hand them out
+ * to one user at a time.
+ * @class
+ */
+class MongodPool extends events.EventEmitter {
+
+  /**
+   * Populate a given {@link MongodPool~Config} with values from a given
+   * {@link MongodPool~Config}.
+   * @protected
+   * @argument {MongodPool~Config} source
+   * @argument {MongodPool~Config} target
+   * @throws {InvalidOptionError}
+   * @return {MongodPool~Config}
+   */
+  static parseConfig(source, target) {
+    if (target == null) {
+      target = Object.create(null);
+    }
+
+    if (source == null || typeof source !== 'object') {
+      return target;
+    }
+
+    if (source.max != null) {
+      if (!(source.max >= 1)) {
+        throw new MongodError.InvalidOptionError(
+          'max',
+          'max must be a number of at least 1'
+        );
+      }
+
+      target.max = Math.floor(source.max);
+    }
+
+    if (source.reset != null) {
+      if (
+        typeof source.reset !== 'function' &&
+        resetStrategies.indexOf(source.reset) === -1
+      ) {
+        throw new MongodError.InvalidOptionError(
+          'reset',
+          `reset must be a function or one of ${resetStrategies.join(', ')}`
+        );
+      }
+
+      target.reset = source.reset;
+    }
+
+    if (source.server != null) {
+      target.server = source.server;
+    }
+
+    return target;
+  }
+
+  /**
+   * Get a {@link Mongod~Config} for the server in the slot at a given
+   * {@linkcode index} of a given {@link MongodPool~Config}.
+   * @protected
+   * @argument {MongodPool~Config} config
+   * @argument {Number} index
+   * @return {Mongod~Config}
+   */
+  static getServerConfig(config, index) {
+    const serverConfig = Object.assign({ port: 'auto' }, config.server);
+
+    if (!Mongod.isAutoPort(serverConfig.port)) {
+      serverConfig.port = Number(serverConfig.port) + index;
+    }
+
+    if (serverConfig.dbpath != null) {
+      serverConfig.dbpath = path.join(serverConfig.dbpath, `pool-${index}`);
+    }
+
+    return serverConfig;
+  }
+
+  /**
+   * Reset a given released {@link Mongod} of a given {@link MongodPool} by
+   * its {@link MongodPool~Config#reset} strategy.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static reset(pool, server) {
+    const reset = pool.config.reset;
+
+    if (typeof reset === 'function') {
+      return Promise.resolve().then(() => reset(server));
+    }
+
+    switch (reset) {
+      case 'drop':
+        return server.reset();
+      case 'restart':
+        // A temporary dbpath is removed on close; a configured one is not.
+        return server.close()
+          .then(() => server.config.dbpath != null ?
+            Mongod.rmrf(server.config.dbpath) :
+            null)
+          .then(() => server.open());
+      default:
+        return Promise.resolve(null);
+    }
+  }
+
+  /**
+   * Close a given {@link Mongod} of a given {@link MongodPool} and free its
+   * slot, handing a new server to the next waiting caller, if any.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static discard(pool, server) {
+    const index = pool.servers.indexOf(server);
+
+    if (index !== -1) {
+      pool.servers[index] = null;
+    }
+
+    return server.close()
+      .catch(() => null)
+      .then(() => {
+        if (pool.waiters.length !== 0) {
+          MongodPool.create(pool, pool.waiters.shift());
+        }
+
+        return null;
+      });
+  }
+
+  /**
+   * Create and open a server in the first free slot of a given
+   * {@link MongodPool} and hand it to a given {@linkcode waiter}.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Object} waiter
+   * An object with the {@linkcode resolve} and {@linkcode reject} functions
+   * of a caller of {@link MongodPool.acquire}.
+   * @return {undefined}
+   */
+  static create(pool, waiter) {
+    let index = pool.servers.indexOf(null);
+    let server = null;
+
+    if (index === -1) {
+      index = pool.servers.length;
+    }
+
+    try {
+      server = new Mongod(MongodPool.getServerConfig(pool.config, index));
+    }
+    catch (err) {
+      waiter.reject(err);
+
+      return;
+    }
+
+    pool.servers[index] = server;
+
+    server.open().then(() => {
+      if (pool.isDraining) {
+        return waiter.reject(new MongodError('MongodPool is draining'));
+      }
+
+      pool.emit('create', server);
+      MongodPool.handOut(pool, server, waiter);
+    }, (err) => {
+      pool.servers[index] = null;
+
+      waiter.reject(err);
+
+      // The slot is free for a caller that was waiting for it.
+      if (pool.waiters.length !== 0 && !pool.isDraining) {
+        MongodPool.create(pool, pool.waiters.shift());
+      }
+    });
+  }
+
+  /**
+   * Hand a given {@link Mongod} of a given {@link MongodPool} to a given
+   * {@linkcode waiter}.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Mongod} server
+   * @argument {Object} waiter
+   * @return {undefined}
+   */
+  static handOut(pool, server, waiter) {
+    pool.acquired.push(server);
+    pool.emit('acquire', server);
+    waiter.resolve(server);
+  }
+
+  /**
+   * Resolve a server of a given {@link MongodPool}; an available one, a new
+   * one while there are fewer than {@link MongodPool~Config#max}, or the
+   * next one released.
+   * @protected
+   * @argument {MongodPool} pool
+   * @return {Promise}
+   */
+  static acquire(pool) {
+    if (pool.isDraining) {
+      return Promise.reject(new MongodError('MongodPool is draining'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      if (pool.available.length !== 0) {
+        MongodPool.handOut(pool, pool.available.shift(), waiter);
+      }
+      else if (pool.size < pool.config.max) {
+        MongodPool.create(pool, waiter);
+      }
+      else {
+        pool.waiters.push(waiter);
+      }
+    });
+  }
+
+  /**
+   * Reset a given acquired {@link Mongod} of a given {@link MongodPool} and
+   * hand it to the next waiting caller or make it available. A server that
+   * fails to reset, or is no longer running, is closed and replaced; one
+   * handed out before {@link MongodPool#drain} is closed.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Mongod} server
+   * @return {Promise}
+   */
+  static release(pool, server) {
+    const index = pool.acquired.indexOf(server);
+
+    if (index === -1) {
+      return Promise.reject(
+        new MongodError('Cannot release a server the pool did not hand out')
+      );
+    }
+
+    pool.acquired.splice(index, 1);
+
+    if (pool.isDraining || pool.servers.indexOf(server) === -1) {
+      return server.close().then(() => null);
+    }
+
+    return MongodPool.reset(pool, server)
+      .then(() => {
+        if (!server.isRunning) {
+          throw new MongodError('MongoDB server is not running');
+        }
+      })
+      .then(() => {
+        if (pool.isDraining) {
+          return null;
+        }
+
+        pool.emit('release', server);
+
+        if (pool.waiters.length !== 0) {
+          MongodPool.handOut(pool, server, pool.waiters.shift());
+        }
+        else {
+          pool.available.push(server);
+        }
+
+        return null;
+      }, () => MongodPool.discard(pool, server));
+  }
+
+  /**
+   * Reject every waiting caller of a given {@link MongodPool} and close
+   * every server, acquired or not. An acquired server may still be released.
+   * @protected
+   * @argument {MongodPool} pool
+   * @argument {Mongod~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static drain(pool, options) {
+    const servers = pool.servers.filter((server) => server !== null);
+
+    pool.isDraining = true;
+
+    for (let waiter of pool.waiters.splice(0, pool.waiters.length)) {
+      waiter.reject(new MongodError('MongodPool is draining'));
+    }
+
+    return Promise.all(servers.map((server) => server.close(options)))
+      .then(() => {
+        pool.servers = [];
+        pool.available = [];
+        pool.isDraining = false;
+
+        pool.emit('drain');
+
+        return null;
+      });
+  }
+
+  /**
+   * Construct a new {@link MongodPool}.
+   * @argument {MongodPool~Config} [config]
+   */
+  constructor(config) {
+    super();
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {MongodPool~Config}
+     */
+    this.config = MongodPool.parseConfig(config, {
+      max: os.cpus().length || 1,
+      reset: 'drop',
+      server: null
+    });
+
+    /**
+     * The servers created, indexed by slot; {@linkcode null} for a free
+     * slot.
+     * @protected
+     * @type {Array.<Mongod>}
+     */
+    this.servers = [];
+
+    /**
+     * The servers that are open and not handed out.
+     * @protected
+     * @type {Array.<Mongod>}
+     */
+    this.available = [];
+
+    /**
+     * The servers handed out and not yet released.
+     * @protected
+     * @type {Array.<Mongod>}
+     */
+    this.acquired = [];
+
+    /**
+     * The callers of {@link MongodPool#acquire} waiting for a server.
+     * @protected
+     * @type {Array.<Object>}
+     */
+    this.waiters = [];
+
+    /**
+     * Determine if the instance is closing its servers.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isDraining = false;
+  }
+
+  /**
+   * The number of servers created and not closed.
+   * @type {Number}
+   */
+  get size() {
+    return this.servers.filter((server) => server !== null).length;
+  }
+
+  /**
+   * The number of callers waiting for a server.
+   * @type {Number}
+   */
+  get pending() {
+    return this.waiters.length;
+  }
+
+  /**
+   * Acquire a server.
+   * @argument {MongodPool~callback} [callback]
+   * @return {Promise}
+   */
+  acquire(callback) {
+    const promise = MongodPool.acquire(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Release a server acquired from the pool.
+   * @argument {Mongod} server
+   * @argument {MongodPool~callback} [callback]
+   * @return {Promise}
+   */
+  release(server, callback) {
+    const promise = MongodPool.release(this, server);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close every server and reject callers waiting for one.
+   * @argument {Mongod~CloseOptions} [options]
+   * @argument {MongodPool~callback} [callback]
+   * @return {Promise}
+   */
+  drain(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = MongodPool.drain(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = MongodPool;
@@ -0,0 +1,562 @@
+'use strict';
+
+/**
+ * Configuration options for {@link MongodReplSet}.
+ * @typedef {Object} MongodReplSet~Config
+ * @property {(String|MongodBinary~Config)} [bin=mongod]
+ * @property {String} [name=rs0]
+ * @property {Number} [members=3]
+ * @property {(Number|String)} [port=27017]
+ * @property {String} [dbpath]
+ * @property {String} [storageEngine]
+ * @property {Boolean} [nojournal=false]
+ * @property {Boolean} [shardsvr=false]
+ * @property {Boolean} [configsvr=false]
+ * @property {Mongod~Credentials} [auth]
+ * The credentials of a user to create once a primary is elected.
+ * @property {(String|Boolean)} [keyFile]
+ * A path to a key file or {@linkcode true} to write a temporary one; written
+ * when {@link MongodReplSet~Config#auth} is set if omitted.
+ */
+
+/**
+ * Invoked when an operation (i.e. {@link MongodReplSet#open}) completes.
+ * @callback MongodReplSet~callback
+ * @argument {Error} err
+ */
+
+/**
+ * Emitted when attempting to start a replica set.
+ * @event MongodReplSet#opening
+ */
+
+/**
+ * Emitted when a replica set has elected a primary.
+ * @event MongodReplSet#open
+ */
+
+/**
+ * Emitted when attempting to stop a replica set.
+ * @event MongodReplSet#closing
+ */
+
+/**
+ * Emitted once every member of a replica set has stopped.
+ * @event MongodReplSet#close
+ */
+
+const events = require('events');
+const path = require('path');
+const PromiseQueue = require('promise-queue');
+const Mongod = require('./Mongod');
+
+/**
+ * The number of milliseconds to wait between checks for a primary.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const pollInterval = 100;
+
+/**
+ * The number of checks for a primary to make before giving up.
+ * @readonly
+ * @private
+ * @type {Number}
+ */
+const pollLimit = 600;
+
+/**
+ * Start and stop a local MongoDB replica set.
+ * @class
+ */
+class MongodReplSet extends events.EventEmitter {
+
+  /**
+   * Populate a given {@link MongodReplSet~Config} with values from a
+   * given {@link MongodReplSet~Config}.
+   * @protected
+   * @argument {MongodReplSet~Config} source
+   * @argument {MongodReplSet~Config} target
+   * @return {MongodReplSet~Config}
+   */
+  static parseConfig(source, target) {
+    if (target == null) {
+      target = Object.create(null);
+    }
+
+    if (source == null || typeof source !== 'object') {
+      return target;
+    }
+
+    for (let key of Object.keys(target)) {
+      if (source[key] != null) {
+        target[key] = source[key];
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Get a {@link Mongod~Config} for the member at a given {@linkcode index}
+   * of a given {@link MongodReplSet}.
+   * @protected
+   * @argument {MongodReplSet~Config} config
+   * @argument {Number} index
+   * @return {Mongod~Config}
+   */
+  static getMemberConfig(config, index) {
+    return {
+      bin: config.bin,
+      port: Mongod.isAutoPort(config.port) ?
+        config.port :
+        Number(config.port) + index,
+      dbpath: config.dbpath == null ?
+        null :
+        path.join(config.dbpath, `${config.name}-${index}`),
+      storageEngine: config.storageEngine,
+      nojournal: config.nojournal,
+      replSet: config.name,
+      shardsvr: config.shardsvr,
+      configsvr: config.configsvr,
+      auth: config.auth,
+      keyFile: typeof config.keyFile === 'string' ? config.keyFile : null
+    };
+  }
+
+  /**
+   * Write a key file shared by the members of a given {@link MongodReplSet}
+   * when {@link MongodReplSet~Config#keyFile} is {@linkcode true} or omitted
+   * along with credentials.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static prepareKeyFile(replSet) {
+    const config = replSet.config;
+
+    if (
+      config.keyFile !== true &&
+      (config.keyFile != null || config.auth == null)
+    ) {
+      return Promise.resolve(null);
+    }
+
+    return Mongod.writeKeyFile().then((file) => {
+      replSet.keyFile = file;
+
+      for (let member of replSet.members) {
+        member.config.keyFile = file;
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Remove the key file written for the members of a given
+   * {@link MongodReplSet} after they stop.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static cleanKeyFile(replSet) {
+    const keyFile = replSet.keyFile;
+
+    if (keyFile === null) {
+      return Promise.resolve(null);
+    }
+
+    replSet.keyFile = null;
+
+    return Mongod.rmrf(keyFile);
+  }
+
+  /**
+   * Initiate a given {@link MongodReplSet} with its members unless their
+   * dbpaths hold the data of an earlier {@link MongodReplSet#open}, which
+   * initiated it; a replica set initiated already is not an error.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static initiate(replSet) {
+    if (!replSet.members.every((member) => member.isFreshDbpath)) {
+      return Promise.resolve(null);
+    }
+
+    const config = {
+      _id: replSet.config.name,
+      members: replSet.members.map((member, index) => ({
+        _id: index,
+        host: `127.0.0.1:${member.port}`
+      }))
+    };
+
+    if (replSet.config.configsvr) {
+      config.configsvr = true;
+    }
+
+    // Members are initiated through the localhost exception.
+    return Mongod
+      .command(
+        replSet.members[0],
+        'admin',
+        { replSetInitiate: config },
+        true
+      )
+      .then(() => null, (err) => {
+        if (err.codeName !== 'AlreadyInitialized') {
+          throw err;
+        }
+
+        return null;
+      });
+  }
+
+  /**
+   * Resolve the member of a given {@link MongodReplSet} that currently
+   * reports itself primary or {@linkcode null} if none does; each running
+   * member is asked with {@linkcode hello}, or {@linkcode isMaster} before
+   * MongoDB 5.0, and one that does not reply is passed over.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static getPrimary(replSet) {
+    /**
+     * Determine if a given running member reports itself primary.
+     * @argument {Mongod} member
+     * @return {Promise}
+     */
+    const isPrimary = (member) => Mongod
+      .command(member, 'admin', Mongod.getHelloCommand(member.version), true)
+      .then((reply) => reply.isWritablePrimary === true ||
+        reply.ismaster === true, () => false);
+
+    return Promise.all(replSet.members.map((member) =>
+      member.isRunning ? isPrimary(member) : false))
+      .then((results) => replSet.members[results.indexOf(true)] || null);
+  }
+
+  /**
+   * Resolve the member of a given {@link MongodReplSet} once it is elected
+   * primary.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static waitForPrimary(replSet) {
+    let attempts = 0;
+
+    /**
+     * Check for a primary, retrying until one is elected.
+     * @return {Promise}
+     */
+    const poll = () => MongodReplSet.getPrimary(replSet).then((primary) => {
+      if (primary !== null) {
+        return primary;
+      }
+
+      if (++attempts >= pollLimit) {
+        throw new Error('Timed out waiting for a primary');
+      }
+
+      return new Promise((resolve) => setTimeout(resolve, pollInterval))
+        .then(poll);
+    });
+
+    return poll();
+  }
+
+  /**
+   * Start a given {@link MongodReplSet}.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @return {Promise}
+   */
+  static open(replSet) {
+    if (replSet.isOpening) {
+      return replSet.openPromise;
+    }
+
+    replSet.isOpening = true;
+    replSet.isClosing = false;
+    replSet.openPromise = replSet.promiseQueue.add(() => {
+      if (replSet.isClosing || replSet.isRunning) {
+        replSet.isOpening = false;
+
+        return Promise.resolve(null);
+      }
+
+      replSet.emit('opening');
+
+      return MongodReplSet.prepareKeyFile(replSet)
+        .then(() => Promise.all(replSet.members.map((member) =>
+          member.open())))
+        .then(() => MongodReplSet.initiate(replSet))
+        .then(() => MongodReplSet.waitForPrimary(replSet))
+        .then((primary) => {
+          const isFresh = replSet.members.every((member) =>
+            member.isFreshDbpath);
+
+          if (replSet.config.auth != null && isFresh) {
+            return Mongod.createUser(primary);
+          }
+
+          return null;
+        })
+        .then(() => {
+          replSet.isOpening = false;
+          replSet.isRunning = true;
+
+          replSet.emit('open');
+
+          return null;
+        })
+        .catch((err) => {
+          replSet.isClosing = true;
+
+          replSet.emit('closing');
+
+          return Promise.all(replSet.members.map((member) => member.close()))
+            .then(() => MongodReplSet.cleanKeyFile(replSet))
+            .then(() => {
+              replSet.isOpening = false;
+              replSet.isClosing = false;
+
+              replSet.emit('close');
+
+              throw err;
+            });
+        });
+    });
+
+    return replSet.openPromise;
+  }
+
+  /**
+   * Stop a given {@link MongodReplSet}.
+   * @protected
+   * @argument {MongodReplSet} replSet
+   * @argument {Mongod~CloseOptions} [options]
+   * @return {Promise}
+   */
+  static close(replSet, options) {
+    if (replSet.isClosing) {
+      return replSet.closePromise;
+    }
+
+    replSet.isClosing = true;
+    replSet.isOpening = false;
+    replSet.closePromise = replSet.promiseQueue.add(() => {
+      if (replSet.isOpening || !replSet.isRunning) {
+        replSet.isClosing = false;
+
+        return Promise.resolve(null);
+      }
+
+      replSet.emit('closing');
+
+      return Promise.all(replSet.members.map((member) =>
+        member.close(options)))
+        .then(() => MongodReplSet.cleanKeyFile(replSet))
+        .then(() => {
+          replSet.isRunning = false;
+          replSet.isClosing = false;
+
+          replSet.emit('close');
+
+          return null;
+        });
+    });
+
+    return replSet.closePromise;
+  }
+
+  /**
+   * Construct a new {@link MongodReplSet}.
+   * @argument {MongodReplSet~Config} [config]
+   */
+  constructor(config) {
+    super();
+
+    /**
+     * Configuration options.
+     * @protected
+     * @type {MongodReplSet~Config}
+     */
+    this.config = MongodReplSet.parseConfig(config, {
+      bin: 'mongod',
+      name: 'rs0',
+      members: 3,
+      port: 27017,
+      dbpath: null,
+      storageEngine: null,
+      nojournal: false,
+      shardsvr: false,
+      configsvr: false,
+      auth: null,
+      keyFile: null
+    });
+
+    /**
+     * The servers that make up the replica set.
+     * @readonly
+     * @type {Array.<Mongod>}
+     */
+    this.members = [];
+
+    for (let i = 0; i < this.config.members; ++i) {
+      this.members.push(
+        new Mongod(MongodReplSet.getMemberConfig(this.config, i))
+      );
+    }
+
+    /**
+     * The key file written for the members when the replica set was last
+     * opened, if any.
+     * @readonly
+     * @type {String}
+     */
+    this.keyFile = null;
+
+    /**
+     * The last {@link Promise} returned by {@link MongodReplSet#open}.
+     * @protected
+     * @type {Promise}
+     */
+    this.openPromise = Promise.resolve(null);
+
+    /**
+     * The last {@link Promise} returned by {@link MongodReplSet#close}.
+     * @protected
+     * @type {Promise}
+     */
+    this.closePromise = Promise.resolve(null);
+
+    /**
+     * A serial queue of open and close promises.
+     * @protected
+     * @type {PromiseQueue}
+     */
+    this.promiseQueue = new PromiseQueue(1);
+
+    /**
+     * Determine if the instance is closing its members.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isClosing = false;
+
+    /**
+     * Determine if the instance is starting its members.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isOpening = false;
+
+    /**
+     * Determine if every member is running and a primary has been elected.
+     * @readonly
+     * @type {Boolean}
+     */
+    this.isRunning = false;
+  }
+
+  /**
+   * A comma-separated list of members prefixed by the replica set name as
+   * expected by i.e. {@linkcode --configdb} and {@linkcode addShard}.
+   * @type {String}
+   */
+  get seedList() {
+    const hosts = this.members
+      .map((member) => `127.0.0.1:${member.port}`)
+      .join(',');
+
+    return `${this.config.name}/${hosts}`;
+  }
+
+  /**
+   * A connection string for the replica set.
+   * @type {String}
+   */
+  get uri() {
+    const auth = this.config.auth;
+    const hosts = this.members
+      .map((member) => `127.0.0.1:${member.port}`)
+      .join(',');
+
+    if (auth == null) {
+      return `mongodb://${hosts}/?replicaSet=${this.config.name}`;
+    }
+
+    const username = encodeURIComponent(auth.username);
+    const password = encodeURIComponent(auth.password);
+
+    return `mongodb://${username}:${password}@${hosts}/` +
+      `?authSource=admin&replicaSet=${this.config.name}`;
+  }
+
+  /**
+   * Open the replica set.
+   * @argument {MongodReplSet~callback} [callback]
+   * @return {Promise}
+   */
+  open(callback) {
+    const promise = MongodReplSet.open(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Get the member that is currently primary, asking each running member,
+   * or {@linkcode null} if none is; it may change after a step down or the
+   * loss of a member.
+   * @argument {MongodReplSet~callback} [callback]
+   * @return {Promise}
+   */
+  getPrimary(callback) {
+    const promise = MongodReplSet.getPrimary(this);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+
+  /**
+   * Close the replica set.
+   * @argument {Mongod~CloseOptions} [options]
+   * @argument {MongodReplSet~callback} [callback]
+   * @return {Promise}
+   */
+  close(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = null;
+    }
+
+    const promise = MongodReplSet.close(this, options);
+
+    if (typeof callback === 'function') {
+      return promise
+        .then((v) => callback(null, v))
+        .catch((e) => callback(e, null));
+    }
+
+    return promise;
+  }
+}
+
+module.exports = exports = MongodReplSet;
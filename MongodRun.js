@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * Options for {@link MongodRun.run} parsed from command-line arguments.
+ * @typedef {Object} MongodRun~Options
+ * @property {Mongod~Config} config
+ * @property {Array.<String>} command
+ * The command to run followed by its arguments; empty to run until
+ * interrupted.
+ * @property {String} env
+ * The name of the environment variable to export the URI through.
+ * @property {Boolean} print
+ * Whether or not to print the URI when running a command.
+ * @property {Boolean} help
+ */
+
+const childprocess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const jsyaml = require('js-yaml');
+const Mongod = require('./Mongod');
+const MongodError = require('./MongodError');
+const MongodTest = require('./MongodTest');
+
+/**
+ * The usage of {@linkcode mongod-run}.
+ * @readonly
+ * @private
+ * @type {String}
+ */
+const usage = `Usage: mongod-run [options] [--] [command [args...]]
+
+Start a MongoDB server, run a command with its URI in MONGO_URL, stop the
+server, and exit with the code of the command. Without a command, print the
+URI and run until interrupted.
+
+Options:
+  -c, --config <file>        A JSON or YAML file of Mongod configuration
+  --bin <path>               A MongoDB server binary (default: mongod)
+  --mongodb-version <ver>    A MongoDB version to download and run
+  --port <port>              A port or "auto" (default: auto)
+  --dbpath <path>            A data directory (default: a temporary one)
+  --replSet <name>           A replica set name
+  --bind_ip <addresses>      Addresses to bind to
+  --storageEngine <name>     A storage engine
+  --logpath <path>           A log file
+  --nojournal                Disable journaling
+  --auth                     Enforce authentication
+  --quiet                    Log less
+  --probe                    Wait for a reply to a command before running
+  --env <name>               A variable for the URI (default: MONGO_URL)
+  --print                    Print the URI when running a command too
+  -h, --help                 Print this message
+`;
+
+/**
+ * {@link Mongod~Config} properties that take a value on the command line.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const valueOptions = [
+  'bin',
+  'port',
+  'dbpath',
+  'replSet',
+  'bind_ip',
+  'storageEngine',
+  'logpath'
+];
+
+/**
+ * {@link Mongod~Config} properties that are set by a flag alone.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const flagOptions = ['nojournal', 'auth', 'quiet', 'probe'];
+
+/**
+ * The signals forwarded to the command.
+ * @readonly
+ * @private
+ * @type {Array.<String>}
+ */
+const forwardedSignals = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+/**
+ * The numbers of signals that are the same on every POSIX platform keyed by
+ * name; for versions of Node.js without {@linkcode os.constants.signals}.
+ * @readonly
+ * @private
+ * @type {Object.<String,Number>}
+ */
+const signalNumbers = {
+  SIGHUP: 1,
+  SIGINT: 2,
+  SIGQUIT: 3,
+  SIGILL: 4,
+  SIGTRAP: 5,
+  SIGABRT: 6,
+  SIGKILL: 9,
+  SIGSEGV: 11,
+  SIGPIPE: 13,
+  SIGALRM: 14,
+  SIGTERM: 15
+};
+
+/**
+ * Start a MongoDB server for the duration of a command; the implementation
+ * of {@linkcode mongod-run}.
+ * @class
+ */
+class MongodRun {
+
+  /**
+   * Get the {@link Mongod~Config} in a JSON or YAML file at a given
+   * {@linkcode file} path.
+   * @protected
+   * @argument {String} file
+   * @throws {MongodError}
+   * @return {Mongod~Config}
+   */
+  static loadConfigFile(file) {
+    let config = null;
+
+    try {
+      // YAML is a superset of JSON.
+      config = jsyaml.safeLoad(fs.readFileSync(file, 'utf8'));
+    }
+    catch (err) {
+      throw new MongodError(`Cannot read ${file}: ${err.message}`);
+    }
+
+    if (config === null || typeof config !== 'object') {
+      throw new MongodError(`${file} must contain an object`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Parse given command-line {@linkcode args} into
+   * {@link MongodRun~Options}. Options end at the first argument that is
+   * not one, or after {@linkcode --}, and the rest are the command. The
+   * {@link Mongod~Config} starts from {@link MongodTest.loadConfig} and is
+   * overridden by a file and then by flags.
+   * @protected
+   * @argument {Array.<String>} args
+   * @throws {MongodError}
+   * @return {MongodRun~Options}
+   */
+  static parseArgs(args) {
+    const options = {
+      config: MongodTest.getServerConfig(MongodTest.loadConfig(), 0),
+      command: [],
+      env: 'MONGO_URL',
+      print: false,
+      help: false
+    };
+    const flags = Object.create(null);
+    let file = null;
+    let i = 0;
+
+    /**
+     * Get the value of the option at the current index, either after an
+     * equals sign or as the next argument.
+     * @argument {String} name
+     * @argument {String} value
+     * @return {String}
+     */
+    const getValue = (name, value) => {
+      if (value !== null) {
+        return value;
+      }
+
+      if (i + 1 >= args.length) {
+        throw new MongodError(`Option ${name} requires a value`);
+      }
+
+      return args[++i];
+    };
+
+    for (; i < args.length; ++i) {
+      const arg = args[i];
+
+      if (arg === '--') {
+        ++i;
+
+        break;
+      }
+
+      if (arg.charAt(0) !== '-') {
+        break;
+      }
+
+      const index = arg.indexOf('=');
+      const name = index === -1 ? arg : arg.slice(0, index);
+      const value = index === -1 ? null : arg.slice(index + 1);
+      const key = name.replace(/^--?/, '');
+
+      if (name === '-h' || name === '--help') {
+        options.help = true;
+      }
+      else if (name === '-c' || name === '--config') {
+        file = getValue(name, value);
+      }
+      else if (name === '--mongodb-version') {
+        flags.bin = { version: getValue(name, value) };
+      }
+      else if (name === '--env') {
+        options.env = getValue(name, value);
+      }
+      else if (name === '--print') {
+        options.print = true;
+      }
+      else if (valueOptions.indexOf(key) !== -1 && name === `--${key}`) {
+        flags[key] = getValue(name, value);
+      }
+      else if (flagOptions.indexOf(key) !== -1 && name === `--${key}`) {
+        flags[key] = true;
+      }
+      else {
+        throw new MongodError(`Unknown option ${name}`);
+      }
+    }
+
+    if (file !== null) {
+      Object.assign(options.config, MongodRun.loadConfigFile(file));
+    }
+
+    Object.assign(options.config, flags);
+
+    options.command = args.slice(i);
+
+    return options;
+  }
+
+  /**
+   * Get the exit code of this process for a command that exited with a
+   * given {@linkcode code} or was killed by a given {@linkcode signal}, as
+   * a shell would report it.
+   * @protected
+   * @argument {Number} code
+   * @argument {String} signal
+   * @return {Number}
+   */
+  static getExitCode(code, signal) {
+    if (code !== null) {
+      return code;
+    }
+
+    const signals = os.constants != null && os.constants.signals != null ?
+      os.constants.signals :
+      signalNumbers;
+
+    return 128 + (signals[signal] || 0);
+  }
+
+  /**
+   * Run a given {@linkcode command} with a given {@linkcode env} and resolve
+   * its exit code, forwarding signals sent to this process until it exits.
+   * @protected
+   * @argument {Array.<String>} command
+   * @argument {Object.<String,String>} env
+   * @return {Promise}
+   */
+  static runCommand(command, env) {
+    return new Promise((resolve) => {
+      const child = childprocess.spawn(command[0], command.slice(1), {
+        env,
+        stdio: 'inherit'
+      });
+      const listeners = Object.create(null);
+
+      /**
+       * Stop forwarding signals and resolve a given {@linkcode code}.
+       * @argument {Number} code
+       * @return {undefined}
+       */
+      const done = (code) => {
+        for (let signal of forwardedSignals) {
+          process.removeListener(signal, listeners[signal]);
+        }
+
+        resolve(code);
+      };
+
+      for (let signal of forwardedSignals) {
+        listeners[signal] = () => child.kill(signal);
+
+        process.on(signal, listeners[signal]);
+      }
+
+      child.once('error', (err) => {
+        process.stderr.write(`mongod-run: ${command[0]}: ${err.message}\n`);
+        done(err.code === 'ENOENT' ? 127 : 126);
+      });
+      child.once('exit', (code, signal) =>
+        done(MongodRun.getExitCode(code, signal)));
+    });
+  }
+
+  /**
+   * Resolve once this process is sent a signal that it would otherwise be
+   * stopped by.
+   * @protected
+   * @return {Promise}
+   */
+  static waitForSignal() {
+    return new Promise((resolve) => {
+      /**
+       * Stop listening for signals and resolve {@linkcode 0}.
+       * @return {undefined}
+       */
+      const listener = () => {
+        for (let signal of forwardedSignals) {
+          process.removeListener(signal, listener);
+        }
+
+        resolve(0);
+      };
+
+      for (let signal of forwardedSignals) {
+        process.on(signal, listener);
+      }
+    });
+  }
+
+  /**
+   * Start a MongoDB server as given command-line {@linkcode args} describe,
+   * run a command with its URI, and stop it once the command exits, even
+   * when this process is sent a signal. Resolves the exit code for this
+   * process: the exit code of the command, {@linkcode 0} once interrupted
+   * without one, {@linkcode 1} if the server fails to start, or
+   * {@linkcode 2} for invalid arguments.
+   * @argument {Array.<String>} args
+   * @return {Promise}
+   */
+  static run(args) {
+    let options = null;
+    let server = null;
+
+    try {
+      options = MongodRun.parseArgs(args);
+      server = new Mongod(options.config);
+    }
+    catch (err) {
+      process.stderr.write(`mongod-run: ${err.message}\n${usage}`);
+
+      return Promise.resolve(2);
+    }
+
+    if (options.help) {
+      process.stdout.write(usage);
+
+      return Promise.resolve(0);
+    }
+
+    // Close the server once the command has handled a signal.
+    Mongod.setKillOnSignal(false);
+
+    return server.open()
+      .then(() => {
+        const env = Object.assign({}, process.env);
+
+        env[options.env] = server.uri;
+
+        if (options.command.length === 0 || options.print) {
+          process.stdout.write(`${server.uri}\n`);
+        }
+
+        return options.command.length === 0 ?
+          MongodRun.waitForSignal() :
+          MongodRun.runCommand(options.command, env);
+      }, (err) => {
+        process.stderr.write(`mongod-run: ${err.message}\n`);
+
+        return 1;
+      })
+      .then((code) => server.close().then(() => code))
+      .then((code) => {
+        Mongod.setKillOnSignal(true);
+
+        return code;
+      }, (err) => {
+        Mongod.setKillOnSignal(true);
+
+        throw err;
+      });
+  }
+}
+
+module.exports = exports = MongodRun;
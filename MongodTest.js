@@ -0,0 +1,391 @@
+'use strict';
+
+/**
+ * Configuration options for {@link MongodTest}; a {@link Mongod~Config} for
+ * each server with:
+ * @typedef {Object} MongodTest~Config
+ * @property {Boolean} [perWorker=false]
+ * Whether or not to start a server for each worker of a test runner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Mongod = require('./Mongod');
+const MongodError = require('./MongodError');
+
+/**
+ * The servers started by {@link MongodTest.start} and not yet stopped.
+ * @private
+ * @type {Array.<Mongod>}
+ */
+const servers = [];
+
+/**
+ * The server started for the current Mocha worker process by
+ * {@link MongodTest.startWorker}, once started.
+ * @private
+ * @type {Promise}
+ */
+let workerPromise = null;
+
+/**
+ * Environment variables read by {@link MongodTest.loadConfig} keyed by the
+ * {@link MongodTest~Config} property each sets.
+ * @readonly
+ * @private
+ * @type {Object.<String,String>}
+ */
+const envNames = {
+  bin: 'MONGOD_BIN',
+  port: 'MONGOD_PORT',
+  dbpath: 'MONGOD_DBPATH',
+  perWorker: 'MONGOD_PER_WORKER'
+};
+
+/**
+ * Start and stop MongoDB servers for test runners; a Jest
+ * {@linkcode globalSetup} and {@linkcode globalTeardown} and a Mocha plugin
+ * of global fixtures and root hooks.
+ * @class
+ */
+class MongodTest {
+
+  /**
+   * Get a {@link MongodTest~Config} from the {@linkcode mongod} property of
+   * the {@linkcode package.json} in a given {@linkcode cwd} overridden by
+   * given environment variables: a JSON object in
+   * {@linkcode MONGOD_CONFIG}, {@linkcode MONGOD_BIN},
+   * {@linkcode MONGOD_VERSION}, {@linkcode MONGOD_PORT},
+   * {@linkcode MONGOD_DBPATH}, and {@linkcode MONGOD_PER_WORKER}.
+   * @argument {String} [cwd=process.cwd()]
+   * @argument {Object.<String,String>} [env=process.env]
+   * @throws {MongodError}
+   * @return {MongodTest~Config}
+   */
+  static loadConfig(cwd, env) {
+    const config = { port: 'auto' };
+    let pkg = null;
+
+    cwd = cwd || process.cwd();
+    env = env || process.env;
+
+    try {
+      pkg = JSON.parse(
+        fs.readFileSync(path.join(cwd, 'package.json'), 'utf8')
+      );
+    }
+    catch (err) {
+      // Use the defaults and the environment alone.
+    }
+
+    if (pkg !== null && pkg.mongod != null) {
+      Object.assign(config, pkg.mongod);
+    }
+
+    if (env.MONGOD_CONFIG) {
+      let source = null;
+
+      try {
+        source = JSON.parse(env.MONGOD_CONFIG);
+      }
+      catch (err) {
+        // Reported below.
+      }
+
+      if (source === null || typeof source !== 'object') {
+        throw new MongodError('MONGOD_CONFIG must be a JSON object');
+      }
+
+      Object.assign(config, source);
+    }
+
+    if (env.MONGOD_VERSION) {
+      config.bin = { version: env.MONGOD_VERSION };
+    }
+
+    for (let key of Object.keys(envNames)) {
+      const value = env[envNames[key]];
+
+      if (value) {
+        config[key] = value;
+      }
+    }
+
+    if (typeof config.perWorker === 'string') {
+      config.perWorker = ['0', 'false'].indexOf(config.perWorker) === -1;
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the {@link Mongod~Config} for the server at a given
+   * {@linkcode index} of a given {@link MongodTest~Config}; a fixed port is
+   * offset and a dbpath suffixed by the index for all but the first.
+   * @protected
+   * @argument {MongodTest~Config} config
+   * @argument {Number} index
+   * @return {Mongod~Config}
+   */
+  static getServerConfig(config, index) {
+    const serverConfig = Object.assign({}, config);
+
+    delete serverConfig.perWorker;
+
+    if (index === 0) {
+      return serverConfig;
+    }
+
+    if (config.port != null && !Mongod.isAutoPort(config.port)) {
+      serverConfig.port = Number(config.port) + index;
+    }
+
+    if (config.dbpath != null) {
+      serverConfig.dbpath = `${config.dbpath}-${index + 1}`;
+    }
+
+    return serverConfig;
+  }
+
+  /**
+   * Start a given {@linkcode count} of servers with a given
+   * {@link MongodTest~Config} and export the URI of the first through
+   * {@linkcode MONGO_URL} and of each through {@linkcode MONGO_URL_1} and so
+   * on. Resolves the servers once all have started; any that did are stopped
+   * should one fail.
+   * @argument {MongodTest~Config} [config]
+   * {@link MongodTest.loadConfig} if omitted.
+   * @argument {Number} [count=1]
+   * @return {Promise}
+   */
+  static start(config, count) {
+    const started = [];
+
+    try {
+      config = config || MongodTest.loadConfig();
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    count = count || 1;
+
+    for (let i = 0; i < count; ++i) {
+      started.push(new Mongod(MongodTest.getServerConfig(config, i)));
+    }
+
+    Array.prototype.push.apply(servers, started);
+
+    return Promise.all(started.map((server) => server.open()))
+      .then(() => {
+        started.forEach((server, index) => {
+          process.env[`MONGO_URL_${index + 1}`] = server.uri;
+        });
+
+        process.env.MONGO_URL = started[0].uri;
+
+        return started;
+      })
+      .catch((err) => MongodTest.stop().then(() => {
+        throw err;
+      }));
+  }
+
+  /**
+   * Stop every server started by {@link MongodTest.start} and remove the
+   * environment variables it exported.
+   * @return {Promise}
+   */
+  static stop() {
+    const stopped = servers.splice(0, servers.length);
+
+    return Promise.all(stopped.map((server) => server.close()))
+      .then(() => {
+        delete process.env.MONGO_URL;
+
+        stopped.forEach((server, index) => {
+          delete process.env[`MONGO_URL_${index + 1}`];
+        });
+
+        return null;
+      });
+  }
+
+  /**
+   * Start a server, or one per worker when
+   * {@link MongodTest~Config#perWorker} is set, before Jest runs any tests.
+   * @argument {Object} [globalConfig]
+   * The configuration Jest passes to a {@linkcode globalSetup} module.
+   * @return {Promise}
+   */
+  static globalSetup(globalConfig) {
+    let config = null;
+
+    try {
+      config = MongodTest.loadConfig(globalConfig && globalConfig.rootDir);
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    const count = config.perWorker && globalConfig != null ?
+      globalConfig.maxWorkers :
+      1;
+
+    return MongodTest.start(config, count).then(() => null);
+  }
+
+  /**
+   * Stop the servers started by {@link MongodTest.globalSetup} after Jest
+   * has run every test.
+   * @return {Promise}
+   */
+  static globalTeardown() {
+    return MongodTest.stop();
+  }
+
+  /**
+   * Point {@linkcode MONGO_URL} at the server for the current Jest worker
+   * when each has its own.
+   * @return {undefined}
+   */
+  static setupWorker() {
+    const uri = process.env[`MONGO_URL_${process.env.JEST_WORKER_ID}`];
+
+    if (uri) {
+      process.env.MONGO_URL = uri;
+    }
+  }
+
+  /**
+   * Start the server for the current Mocha worker process, offsetting a
+   * fixed port by {@linkcode MOCHA_WORKER_ID}, and point
+   * {@linkcode MONGO_URL} at it unless it has already been started. Does
+   * nothing unless {@link MongodTest~Config#perWorker} is set.
+   * @protected
+   * @return {Promise}
+   */
+  static startWorker() {
+    if (workerPromise !== null) {
+      return workerPromise.then(() => null);
+    }
+
+    let config = null;
+
+    try {
+      config = MongodTest.loadConfig();
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    if (!config.perWorker) {
+      workerPromise = Promise.resolve(null);
+
+      return workerPromise;
+    }
+
+    const index = Number(process.env.MOCHA_WORKER_ID) || 0;
+    const server = new Mongod(MongodTest.getServerConfig(config, index));
+
+    workerPromise = server.open()
+      .then(() => {
+        process.env.MONGO_URL = server.uri;
+
+        return server;
+      })
+      .catch((err) => server.close().then(() => {
+        throw err;
+      }));
+
+    return workerPromise.then(() => null);
+  }
+
+  /**
+   * Stop the server started by {@link MongodTest.startWorker}, if any, and
+   * remove {@linkcode MONGO_URL}.
+   * @protected
+   * @return {Promise}
+   */
+  static stopWorker() {
+    const promise = workerPromise;
+
+    workerPromise = null;
+
+    if (promise === null) {
+      return Promise.resolve(null);
+    }
+
+    // A server that failed to start has already been closed.
+    return promise
+      .catch(() => null)
+      .then((server) => server === null ? null : server.close().then(() => {
+        delete process.env.MONGO_URL;
+
+        return null;
+      }));
+  }
+
+  /**
+   * Start a server before Mocha runs any tests unless
+   * {@link MongodTest~Config#perWorker} is set; a global setup fixture that
+   * runs once in the main process, even in parallel mode, where workers
+   * inherit {@linkcode MONGO_URL}.
+   * @return {Promise}
+   */
+  static mochaGlobalSetup() {
+    let config = null;
+
+    try {
+      config = MongodTest.loadConfig();
+    }
+    catch (err) {
+      return Promise.reject(err);
+    }
+
+    if (config.perWorker) {
+      return Promise.resolve(null);
+    }
+
+    return MongodTest.start(config).then(() => null);
+  }
+
+  /**
+   * Stop the server started by {@link MongodTest.mochaGlobalSetup} after
+   * Mocha has run every test.
+   * @return {Promise}
+   */
+  static mochaGlobalTeardown() {
+    return MongodTest.stop();
+  }
+
+  /**
+   * Root hooks for Mocha that start a server for each worker process when
+   * {@link MongodTest~Config#perWorker} is set. Mocha runs root hooks once
+   * per file in parallel mode, so the server is started by the first and
+   * kept until the worker exits, when it is killed with any other
+   * {@link Mongod}. In serial mode, it is stopped after all tests.
+   * @type {Object.<String,Function>}
+   */
+  static get mochaHooks() {
+    return {
+      beforeAll() {
+        // The server has its own startup timeout.
+        this.timeout(0);
+
+        return MongodTest.startWorker();
+      },
+      afterAll() {
+        if (process.env.MOCHA_WORKER_ID != null) {
+          return Promise.resolve(null);
+        }
+
+        this.timeout(0);
+
+        return MongodTest.stopWorker();
+      }
+    };
+  }
+}
+
+module.exports = exports = MongodTest;
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict';
+
+const MongodRun = require('../MongodRun');
+
+MongodRun.run(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    process.stderr.write(`mongod-run: ${err.message}\n`);
+    process.exit(1);
+  });